@@ -0,0 +1,447 @@
+// Alarms
+//
+// Any number of alarms, each either one-off or repeating on chosen weekdays.
+// When one goes off it shows a panel with Snooze and Dismiss, and alerts with
+// a beeping tone (Web Audio) or a system notification (Notification API).
+//
+// Alarms are saved in localStorage with the time each is next due, so they are
+// armed again after a reload, and any that came due while the page was closed
+// are listed as missed. They're checked on every tick of the clock's scheduler.
+
+const ALARMS_STORAGE_KEY = 'clock:alarms';
+
+const SNOOZE_MINUTES = 5;
+const RING_SECONDS = 60; // the tone stops by itself after this
+
+// An alarm that came due less than this long ago still rings on page load
+// (e.g. after a quick reload); anything older counts as missed
+const MISSED_GRACE_MS = 60 * 1000;
+
+// Weekday numbers as Date.getDay() counts them, listed Monday first
+const WEEK_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+let alarms = []; // [{ id, time: '07:30', label, days: [1, 2, 3, 4, 5], alert: 'sound' | 'notification', enabled, nextAt, snoozedUntil }]
+let ringingAlarms = []; // alarms going off now, oldest first
+let stopTone = null;
+let audioContext = null;
+const pageTitle = document.title;
+
+// ======= Working out when an alarm is due =======
+
+// The next time after `after` that an alarm set for `time` on `days` goes off.
+// Days are stepped through with setDate, so daylight saving changes are handled.
+function getNextOccurrence(time, days, after = new Date()) {
+    const [hours, minutes] = time.split(':').map(Number);
+    
+    for (let dayOffset = 0; dayOffset <= 7; dayOffset++) {
+        const candidate = new Date(after);
+        candidate.setDate(after.getDate() + dayOffset);
+        candidate.setHours(hours, minutes, 0, 0);
+        
+        const onRightDay = days.length === 0 || days.includes(candidate.getDay());
+        if (onRightDay && candidate > after) return candidate.getTime();
+    }
+    return null; // unreachable: one of the next 8 days always matches
+}
+
+// When the alarm should next ring: the end of a snooze, or its next scheduled time
+function getDueAt(alarm) {
+    if (alarm.snoozedUntil) return alarm.snoozedUntil;
+    return alarm.enabled ? alarm.nextAt : null;
+}
+
+// After an alarm goes off (or is missed): a repeating one moves on to its
+// next day, a one-off one switches itself off
+function advanceAlarm(alarm, now) {
+    alarm.snoozedUntil = null;
+    if (alarm.days.length > 0) {
+        alarm.nextAt = getNextOccurrence(alarm.time, alarm.days, now);
+    } else {
+        alarm.enabled = false;
+        alarm.nextAt = null;
+    }
+}
+
+// ======= Saving =======
+
+function saveAlarms() {
+    try {
+        localStorage.setItem(ALARMS_STORAGE_KEY, JSON.stringify(alarms));
+    } catch (error) {
+        console.error('Could not save alarms:', error);
+    }
+}
+
+function loadAlarms() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(ALARMS_STORAGE_KEY));
+        if (!Array.isArray(saved)) return;
+        alarms = saved.filter(alarm => alarm && /^\d{2}:\d{2}$/.test(alarm.time) && Array.isArray(alarm.days));
+    } catch (error) {
+        console.error('Could not read saved alarms:', error);
+    }
+}
+
+// ======= Formatting =======
+
+function formatAlarmTime(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    const date = new Date();
+    date.setHours(hours, minutes, 0, 0);
+    return new Intl.DateTimeFormat(getClockLocale(), {
+        hour: 'numeric',
+        minute: '2-digit',
+        ...getHourCycleOptions()
+    }).format(date);
+}
+
+// "Tue 07:30", or with the date for missed alarms: "Tue, Oct 18, 07:30"
+function formatDueAt(timestamp, withDate = false) {
+    return new Intl.DateTimeFormat(getClockLocale(), {
+        weekday: 'short',
+        ...(withDate ? { month: 'short', day: 'numeric' } : {}),
+        hour: 'numeric',
+        minute: '2-digit',
+        ...getHourCycleOptions()
+    }).format(timestamp);
+}
+
+// Short weekday name for a Date.getDay() number, in the clock's language
+function getWeekdayName(day) {
+    // 2023-01-01 was a Sunday, so January (1 + day) falls on that weekday
+    return new Intl.DateTimeFormat(getClockLocale(), { weekday: 'short' }).format(new Date(2023, 0, 1 + day));
+}
+
+function describeDays(days) {
+    if (days.length === 0) return 'Once';
+    if (days.length === 7) return 'Every day';
+    const sorted = WEEK_ORDER.filter(day => days.includes(day));
+    if (sorted.join() === '1,2,3,4,5') return 'Weekdays';
+    if (sorted.join() === '6,0') return 'Weekends';
+    return sorted.map(getWeekdayName).join(', ');
+}
+
+// ======= Sound and notifications =======
+
+// Browsers only allow sound once the user has interacted with the page,
+// so the audio context is created (or resumed) on a click
+function unlockAudio() {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return null;
+    if (!audioContext) audioContext = new AudioContextClass();
+    if (audioContext.state === 'suspended') audioContext.resume();
+    return audioContext;
+}
+
+// Beeps twice a second for RING_SECONDS. Returns a function that stops it.
+function playAlarmTone() {
+    const context = unlockAudio();
+    if (!context) return () => {};
+    
+    const oscillator = context.createOscillator();
+    const gain = context.createGain();
+    oscillator.type = 'sine';
+    oscillator.frequency.value = 880; // the A above middle A
+    
+    // Each beep fades in and out over 10ms, so it doesn't click
+    const start = context.currentTime;
+    gain.gain.setValueAtTime(0, start);
+    for (let beep = 0; beep < RING_SECONDS * 2; beep++) {
+        const beepStart = start + beep * 0.5;
+        gain.gain.setValueAtTime(0, beepStart);
+        gain.gain.linearRampToValueAtTime(0.3, beepStart + 0.01);
+        gain.gain.setValueAtTime(0.3, beepStart + 0.2);
+        gain.gain.linearRampToValueAtTime(0, beepStart + 0.21);
+    }
+    
+    oscillator.connect(gain).connect(context.destination);
+    oscillator.start(start);
+    oscillator.stop(start + RING_SECONDS);
+    
+    return () => {
+        try {
+            oscillator.stop();
+        } catch (error) {
+            // Already stopped
+        }
+        gain.disconnect();
+    };
+}
+
+function canNotify() {
+    return 'Notification' in window && Notification.permission === 'granted';
+}
+
+// Returns false if the browser wouldn't show it. Chrome for Android throws
+// "Illegal constructor" even with permission, as it only allows notifications
+// from a service worker, which this page doesn't have.
+function showAlarmNotification(alarm) {
+    let notification;
+    try {
+        notification = new Notification(alarm.label || 'Alarm', {
+            body: formatAlarmTime(alarm.time),
+            tag: alarm.id, // replaces, rather than stacks, repeat notifications for the same alarm
+            requireInteraction: true
+        });
+    } catch (error) {
+        console.error('Could not show alarm notification:', error);
+        return false;
+    }
+    
+    notification.addEventListener('click', () => {
+        window.focus();
+        notification.close();
+    });
+    return true;
+}
+
+// ======= Ringing =======
+
+function ringAlarm(alarm, now) {
+    advanceAlarm(alarm, now);
+    saveAlarms();
+    
+    if (!ringingAlarms.includes(alarm)) ringingAlarms.push(alarm);
+    
+    // Notification alarms fall back to sound if notifications aren't allowed (or don't work)
+    const notified = alarm.alert === 'notification' && canNotify() && showAlarmNotification(alarm);
+    if (!notified) {
+        if (stopTone) stopTone(); // start the tone over for the new alarm
+        stopTone = playAlarmTone();
+    }
+    
+    renderAlarmList();
+    renderRingingAlarm();
+}
+
+function renderRingingAlarm() {
+    const panel = document.getElementById('alarm-ringing');
+    const alarm = ringingAlarms[0];
+    
+    if (!alarm) {
+        panel.hidden = true;
+        document.title = pageTitle;
+        return;
+    }
+    
+    document.getElementById('alarm-ringing-label').textContent = alarm.label || 'Alarm';
+    document.getElementById('alarm-ringing-time').textContent = formatAlarmTime(alarm.time);
+    document.getElementById('alarm-snooze').textContent = `Snooze ${SNOOZE_MINUTES} min`;
+    document.title = `⏰ ${alarm.label || 'Alarm'} - ${pageTitle}`;
+    
+    const wasHidden = panel.hidden;
+    panel.hidden = false;
+    if (wasHidden) document.getElementById('alarm-dismiss').focus();
+}
+
+// Takes the alarm on show off the ringing list; the tone stops when none are left
+function finishRinging() {
+    ringingAlarms.shift();
+    if (ringingAlarms.length === 0 && stopTone) {
+        stopTone();
+        stopTone = null;
+    }
+    renderRingingAlarm();
+}
+
+function snoozeRingingAlarm() {
+    const alarm = ringingAlarms[0];
+    if (!alarm) return;
+    alarm.snoozedUntil = Date.now() + SNOOZE_MINUTES * 60 * 1000;
+    saveAlarms();
+    finishRinging();
+    renderAlarmList();
+}
+
+function dismissRingingAlarm() {
+    // ringAlarm has already moved the alarm on to its next time
+    finishRinging();
+}
+
+// Called every second by the clock's scheduler
+function checkAlarms(now = new Date()) {
+    alarms.forEach(alarm => {
+        const dueAt = getDueAt(alarm);
+        if (dueAt !== null && dueAt <= now.getTime()) ringAlarm(alarm, now);
+    });
+}
+
+// On page load: alarms that came due while the page was closed are moved on to
+// their next time and listed, instead of all ringing at once
+function reportMissedAlarms(now = new Date()) {
+    const missed = [];
+    
+    alarms.forEach(alarm => {
+        const dueAt = getDueAt(alarm);
+        if (dueAt === null || dueAt > now.getTime() - MISSED_GRACE_MS) return;
+        missed.push({ alarm, dueAt });
+        advanceAlarm(alarm, now);
+    });
+    
+    if (missed.length === 0) return;
+    saveAlarms();
+    
+    const list = document.getElementById('alarm-missed-list');
+    list.innerHTML = '';
+    missed.forEach(({ alarm, dueAt }) => {
+        const item = document.createElement('li');
+        item.textContent = `${alarm.label || 'Alarm'}: ${formatDueAt(dueAt, true)}`;
+        list.appendChild(item);
+    });
+    document.getElementById('alarm-missed').hidden = false;
+}
+
+// ======= Alarm list =======
+
+function renderAlarmList() {
+    const list = document.getElementById('alarm-list');
+    list.innerHTML = '';
+    
+    alarms.forEach(alarm => {
+        const dueAt = getDueAt(alarm);
+        const item = document.createElement('li');
+        item.className = 'alarm-item';
+        item.classList.toggle('off', dueAt === null);
+        
+        const time = document.createElement('div');
+        time.className = 'alarm-time';
+        time.textContent = formatAlarmTime(alarm.time);
+        
+        const details = document.createElement('div');
+        details.className = 'alarm-details';
+        const parts = [alarm.label, describeDays(alarm.days)];
+        if (alarm.snoozedUntil) parts.push(`Snoozed until ${formatDueAt(alarm.snoozedUntil)}`);
+        else if (dueAt !== null) parts.push(`Next: ${formatDueAt(dueAt)}`);
+        if (alarm.alert === 'notification') parts.push('🔔');
+        details.textContent = parts.filter(Boolean).join(' · ');
+        
+        const toggle = document.createElement('input');
+        toggle.type = 'checkbox';
+        toggle.className = 'alarm-toggle';
+        toggle.checked = alarm.enabled || Boolean(alarm.snoozedUntil);
+        toggle.setAttribute('aria-label', `${alarm.label || 'Alarm'} at ${formatAlarmTime(alarm.time)} on`);
+        toggle.addEventListener('change', () => setAlarmEnabled(alarm, toggle.checked));
+        
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.className = 'alarm-remove';
+        removeButton.textContent = '×';
+        removeButton.setAttribute('aria-label', `Delete ${alarm.label || 'alarm'} at ${formatAlarmTime(alarm.time)}`);
+        removeButton.addEventListener('click', () => removeAlarm(alarm));
+        
+        item.append(time, details, toggle, removeButton);
+        list.appendChild(item);
+    });
+    
+    document.getElementById('alarm-empty').hidden = alarms.length > 0;
+}
+
+function setAlarmEnabled(alarm, enabled) {
+    alarm.enabled = enabled;
+    alarm.snoozedUntil = null;
+    alarm.nextAt = enabled ? getNextOccurrence(alarm.time, alarm.days) : null;
+    saveAlarms();
+    renderAlarmList();
+}
+
+function removeAlarm(alarm) {
+    alarms = alarms.filter(other => other !== alarm);
+    if (ringingAlarms[0] === alarm) finishRinging();
+    ringingAlarms = ringingAlarms.filter(other => other !== alarm);
+    saveAlarms();
+    renderAlarmList();
+    document.getElementById('alarm-time').focus();
+}
+
+async function addAlarm(form) {
+    const time = form.elements['alarm-time'].value;
+    const label = form.elements['alarm-label'].value.trim();
+    const alert = form.elements['alarm-alert'].value;
+    const days = [...form.querySelectorAll('input[name="alarm-day"]:checked')].map(input => Number(input.value));
+    const error = document.getElementById('alarm-error');
+    
+    if (!/^\d{2}:\d{2}$/.test(time)) {
+        error.textContent = 'Choose a time for the alarm.';
+        return;
+    }
+    error.textContent = '';
+    
+    // Ask while we still have the user's click; browsers ignore requests made later
+    if (alert === 'notification' && 'Notification' in window && Notification.permission === 'default') {
+        await Notification.requestPermission();
+    }
+    if (alert === 'notification' && !canNotify()) {
+        error.textContent = "Notifications aren't allowed for this page, so this alarm will beep instead.";
+    }
+    
+    alarms.push({
+        id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+        time,
+        label,
+        days,
+        alert,
+        enabled: true,
+        nextAt: getNextOccurrence(time, days),
+        snoozedUntil: null
+    });
+    alarms.sort((a, b) => a.time.localeCompare(b.time));
+    saveAlarms();
+    renderAlarmList();
+    
+    form.elements['alarm-label'].value = '';
+    form.querySelectorAll('input[name="alarm-day"]').forEach(input => {
+        input.checked = false;
+    });
+}
+
+// One checkbox per weekday, labelled in the clock's language
+function renderWeekdayPicker() {
+    const picker = document.getElementById('alarm-days');
+    const checked = [...picker.querySelectorAll('input:checked')].map(input => Number(input.value));
+    picker.innerHTML = '';
+    
+    WEEK_ORDER.forEach(day => {
+        const label = document.createElement('label');
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.name = 'alarm-day';
+        input.value = day;
+        input.checked = checked.includes(day);
+        label.append(input, getWeekdayName(day));
+        picker.appendChild(label);
+    });
+}
+
+function initAlarms() {
+    const form = document.getElementById('alarm-form');
+    
+    loadAlarms();
+    renderWeekdayPicker();
+    reportMissedAlarms();
+    checkAlarms(); // anything due within the grace period rings now
+    renderAlarmList();
+    
+    form.addEventListener('submit', (event) => {
+        event.preventDefault();
+        unlockAudio();
+        addAlarm(form);
+    });
+    
+    document.getElementById('alarm-snooze').addEventListener('click', snoozeRingingAlarm);
+    document.getElementById('alarm-dismiss').addEventListener('click', dismissRingingAlarm);
+    document.getElementById('alarm-missed-close').addEventListener('click', () => {
+        document.getElementById('alarm-missed').hidden = true;
+    });
+    
+    // After a reload nothing can make a sound until the page is clicked,
+    // so the first click anywhere gets the audio ready
+    document.addEventListener('pointerdown', unlockAudio, { once: true });
+    
+    onClockSettingsChange(() => {
+        renderWeekdayPicker();
+        renderAlarmList();
+        renderRingingAlarm();
+    });
+}
+
+document.addEventListener('DOMContentLoaded', initAlarms);
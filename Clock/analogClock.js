@@ -0,0 +1,280 @@
+// Analog clock face
+//
+// Draws a clock with hands on a <canvas>, as an alternative to the digital
+// display. It shows the same time as the digital clock: in "ticking" mode it's
+// drawn by the same scheduler tick, once a second; in "smooth sweep" mode the
+// second hand glides, redrawn every frame with requestAnimationFrame.
+//
+// The canvas is sized in device pixels, so the face stays sharp on high-DPI
+// (retina) screens. The face colours come from FACE_THEMES.
+// The view, second hand and theme are saved in localStorage.
+
+const ANALOG_CLOCK_STORAGE_KEY = 'clock:analog';
+
+const FACE_THEMES = {
+    classic: {
+        label: 'Classic',
+        face: '#f5f5f0',
+        rim: '#3d3d3d',
+        ticks: '#333',
+        numbers: '#222',
+        hourHand: '#222',
+        minuteHand: '#222',
+        secondHand: '#d32f2f'
+    },
+    midnight: {
+        label: 'Midnight',
+        face: '#1e1e1e',
+        rim: '#555',
+        ticks: '#aaa',
+        numbers: '#eee',
+        hourHand: '#eee',
+        minuteHand: '#eee',
+        secondHand: '#ff9800'
+    },
+    ocean: {
+        label: 'Ocean',
+        face: '#0d3b66',
+        rim: '#faf0ca',
+        ticks: '#faf0ca',
+        numbers: '#faf0ca',
+        hourHand: '#faf0ca',
+        minuteHand: '#faf0ca',
+        secondHand: '#f95738'
+    },
+    minimal: {
+        label: 'Minimal',
+        face: '#ffffff',
+        rim: '#ffffff',
+        ticks: '#bbb',
+        numbers: null, // no numbers
+        hourHand: '#111',
+        minuteHand: '#111',
+        secondHand: '#1976d2'
+    }
+};
+
+const analogClockSettings = {
+    view: 'digital', // or 'analog'
+    sweep: false, // true: smooth second hand, false: ticking
+    theme: 'classic'
+};
+
+let animationFrameId = null;
+// Made once per language / 12-24 hour setting, in applyAnalogClockSettings()
+let numberFormatter = null;
+let labelFormatter = null;
+
+// ======= Drawing =======
+
+// Makes the canvas's pixel size match its size on screen times the device
+// pixel ratio (2 on most phones), then scales drawing so 1 unit = 1 CSS pixel
+function prepareCanvas(canvas) {
+    const ratio = window.devicePixelRatio || 1;
+    const size = canvas.clientWidth;
+    const pixels = Math.round(size * ratio);
+    
+    if (canvas.width !== pixels || canvas.height !== pixels) {
+        canvas.width = pixels;
+        canvas.height = pixels;
+    }
+    
+    const context = canvas.getContext('2d');
+    if (!context) return { context, size };
+    context.setTransform(ratio, 0, 0, ratio, 0, 0);
+    context.clearRect(0, 0, size, size);
+    return { context, size };
+}
+
+// Draws a hand from the centre; angle 0 points at 12, turning clockwise
+function drawHand(context, angle, length, width, color, tail = 0) {
+    context.save();
+    context.rotate(angle);
+    context.beginPath();
+    context.moveTo(0, tail);
+    context.lineTo(0, -length);
+    context.strokeStyle = color;
+    context.lineWidth = width;
+    context.lineCap = 'round';
+    context.stroke();
+    context.restore();
+}
+
+function drawAnalogClock(now = new Date()) {
+    const canvas = document.getElementById('analog-clock');
+    if (canvas.hidden) return;
+    
+    const { context, size } = prepareCanvas(canvas);
+    if (!context || !size) return;
+    
+    const theme = FACE_THEMES[analogClockSettings.theme];
+    const radius = size / 2 - 4;
+    
+    context.save();
+    context.translate(size / 2, size / 2);
+    
+    // Face and rim
+    context.beginPath();
+    context.arc(0, 0, radius, 0, 2 * Math.PI);
+    context.fillStyle = theme.face;
+    context.fill();
+    context.lineWidth = radius * 0.04;
+    context.strokeStyle = theme.rim;
+    context.stroke();
+    
+    // A tick for every minute, longer and thicker ones for the hours
+    for (let i = 0; i < 60; i++) {
+        const isHour = i % 5 === 0;
+        const outer = radius * 0.92;
+        const inner = outer - radius * (isHour ? 0.1 : 0.04);
+        const angle = (i / 60) * 2 * Math.PI;
+        
+        context.beginPath();
+        context.moveTo(Math.sin(angle) * inner, -Math.cos(angle) * inner);
+        context.lineTo(Math.sin(angle) * outer, -Math.cos(angle) * outer);
+        context.strokeStyle = theme.ticks;
+        context.lineWidth = isHour ? radius * 0.025 : radius * 0.01;
+        context.stroke();
+    }
+    
+    // Hour numbers, in the clock's language (so Arabic shows ١٢ at the top)
+    if (theme.numbers) {
+        context.fillStyle = theme.numbers;
+        context.font = `${radius * 0.15}px Arial, sans-serif`;
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        for (let hour = 1; hour <= 12; hour++) {
+            const angle = (hour / 12) * 2 * Math.PI;
+            const distance = radius * 0.7;
+            context.fillText(numberFormatter.format(hour), Math.sin(angle) * distance, -Math.cos(angle) * distance);
+        }
+    }
+    
+    // Each hand also moves with the smaller units, so at 3:30 the hour
+    // hand is halfway between 3 and 4
+    const milliseconds = analogClockSettings.sweep ? now.getMilliseconds() : 0;
+    const seconds = now.getSeconds() + milliseconds / 1000;
+    const minutes = now.getMinutes() + seconds / 60;
+    const hours = (now.getHours() % 12) + minutes / 60;
+    
+    drawHand(context, (hours / 12) * 2 * Math.PI, radius * 0.5, radius * 0.07, theme.hourHand);
+    drawHand(context, (minutes / 60) * 2 * Math.PI, radius * 0.75, radius * 0.045, theme.minuteHand);
+    drawHand(context, (seconds / 60) * 2 * Math.PI, radius * 0.85, radius * 0.02, theme.secondHand, radius * 0.15);
+    
+    // Cap over the middle where the hands meet
+    context.beginPath();
+    context.arc(0, 0, radius * 0.04, 0, 2 * Math.PI);
+    context.fillStyle = theme.secondHand;
+    context.fill();
+    
+    context.restore();
+}
+
+// The canvas is just a picture, so screen readers get the time as its label.
+// Only updated when the minute changes, so it isn't read out every second.
+function updateAnalogLabel(now) {
+    const canvas = document.getElementById('analog-clock');
+    const label = `Analog clock showing ${labelFormatter.format(now)}`;
+    if (canvas.getAttribute('aria-label') !== label) canvas.setAttribute('aria-label', label);
+}
+
+// ======= Updating =======
+
+function animateAnalogClock() {
+    drawAnalogClock();
+    animationFrameId = requestAnimationFrame(animateAnalogClock);
+}
+
+// Starts or stops the every-frame loop to match the settings
+function updateAnimationLoop() {
+    const shouldAnimate = analogClockSettings.view === 'analog' && analogClockSettings.sweep;
+    
+    if (shouldAnimate && animationFrameId === null) {
+        animationFrameId = requestAnimationFrame(animateAnalogClock);
+    } else if (!shouldAnimate && animationFrameId !== null) {
+        cancelAnimationFrame(animationFrameId);
+        animationFrameId = null;
+    }
+}
+
+// Called every second by the clock's scheduler
+function updateAnalogClock(now = new Date()) {
+    if (analogClockSettings.view !== 'analog') return;
+    updateAnalogLabel(now);
+    if (!analogClockSettings.sweep) drawAnalogClock(now); // the animation loop draws otherwise
+}
+
+// ======= Settings =======
+
+function saveAnalogClockSettings() {
+    try {
+        localStorage.setItem(ANALOG_CLOCK_STORAGE_KEY, JSON.stringify(analogClockSettings));
+    } catch (error) {
+        console.error('Could not save analog clock settings:', error);
+    }
+}
+
+function loadAnalogClockSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(ANALOG_CLOCK_STORAGE_KEY));
+        if (!saved) return;
+        if (saved.view === 'digital' || saved.view === 'analog') analogClockSettings.view = saved.view;
+        analogClockSettings.sweep = Boolean(saved.sweep);
+        if (FACE_THEMES[saved.theme]) analogClockSettings.theme = saved.theme;
+    } catch (error) {
+        console.error('Could not read saved analog clock settings:', error);
+    }
+}
+
+// Shows the chosen view and the options that go with it, then redraws
+function applyAnalogClockSettings() {
+    const isAnalog = analogClockSettings.view === 'analog';
+    
+    document.getElementById('analog-clock').hidden = !isAnalog;
+    document.querySelector('.clock-face').hidden = isAnalog;
+    document.querySelectorAll('.analog-only').forEach(element => {
+        element.hidden = !isAnalog;
+    });
+    
+    document.getElementById('clock-view').value = analogClockSettings.view;
+    document.getElementById('clock-second-hand').value = analogClockSettings.sweep ? 'sweep' : 'tick';
+    document.getElementById('clock-theme').value = analogClockSettings.theme;
+    
+    numberFormatter = new Intl.NumberFormat(getClockLocale());
+    labelFormatter = new Intl.DateTimeFormat(getClockLocale(), {
+        hour: 'numeric',
+        minute: '2-digit',
+        ...getHourCycleOptions()
+    });
+    updateAnimationLoop();
+    updateAnalogClock();
+}
+
+function setAnalogClockSettings(changes) {
+    Object.assign(analogClockSettings, changes);
+    saveAnalogClockSettings();
+    applyAnalogClockSettings();
+}
+
+function initAnalogClock() {
+    const viewSelect = document.getElementById('clock-view');
+    const secondHandSelect = document.getElementById('clock-second-hand');
+    const themeSelect = document.getElementById('clock-theme');
+    
+    Object.keys(FACE_THEMES).forEach(name => themeSelect.add(new Option(FACE_THEMES[name].label, name)));
+    
+    loadAnalogClockSettings();
+    applyAnalogClockSettings();
+    
+    viewSelect.addEventListener('change', () => setAnalogClockSettings({ view: viewSelect.value }));
+    secondHandSelect.addEventListener('change', () => setAnalogClockSettings({ sweep: secondHandSelect.value === 'sweep' }));
+    themeSelect.addEventListener('change', () => setAnalogClockSettings({ theme: themeSelect.value }));
+    
+    // New numerals for a new language
+    onClockSettingsChange(applyAnalogClockSettings);
+    
+    // Resizing or zooming can change the canvas size and the device pixel ratio
+    window.addEventListener('resize', () => updateAnalogClock());
+}
+
+document.addEventListener('DOMContentLoaded', initAnalogClock);
@@ -0,0 +1,153 @@
+// Clock language and 12/24-hour settings
+//
+// The clock shows time the way the chosen locale writes it: its numerals
+// (Arabic ٠١٢٣, Hindi ०१२३, ...), its AM/PM words, and right-to-left layout for
+// languages like Arabic and Hebrew. All the formatting itself is done by Intl.
+//
+// Other scripts read the settings with getClockLocale() / getHourCycleOptions()
+// and call onClockSettingsChange(listener) to redraw when they change.
+
+const CLOCK_SETTINGS_STORAGE_KEY = 'clock:settings';
+
+// value '' means "whatever the browser is set to"
+const CLOCK_LOCALES = [
+    { value: '', label: 'Browser default' },
+    { value: 'en-US', label: 'English (US)' },
+    { value: 'en-GB', label: 'English (UK)' },
+    { value: 'fr-FR', label: 'Français' },
+    { value: 'de-DE', label: 'Deutsch' },
+    { value: 'es-ES', label: 'Español' },
+    { value: 'ja-JP', label: '日本語' },
+    { value: 'ar-EG', label: 'العربية (٠١٢٣)' },
+    { value: 'ar-MA', label: 'العربية (0123)' },
+    { value: 'hi-IN-u-nu-deva', label: 'हिन्दी (०१२३)' },
+    { value: 'hi-IN', label: 'हिन्दी (0123)' },
+    { value: 'fa-IR', label: 'فارسی (۰۱۲۳)' },
+    { value: 'he-IL', label: 'עברית' }
+];
+
+const HOUR_CYCLES = [
+    { value: 'auto', label: 'Locale default' },
+    { value: 'h12', label: '12-hour' },
+    { value: 'h23', label: '24-hour' }
+];
+
+// Used when the browser can't tell us a language's writing direction
+const RTL_LANGUAGES = ['ar', 'he', 'fa', 'ur', 'ps', 'sd', 'ug', 'yi', 'dv'];
+
+const clockSettings = {
+    locale: '',
+    hourCycle: 'auto'
+};
+
+const clockSettingsListeners = [];
+
+function isSupportedLocale(locale) {
+    try {
+        return locale === '' || Intl.DateTimeFormat.supportedLocalesOf([locale]).length > 0;
+    } catch (error) {
+        return false; // RangeError: not a valid language tag
+    }
+}
+
+// The locale to format with, e.g. 'ar-EG'
+function getClockLocale() {
+    return clockSettings.locale || navigator.language || 'en-US';
+}
+
+// Extra Intl.DateTimeFormat options for the chosen hour cycle ({} = locale default)
+function getHourCycleOptions() {
+    return clockSettings.hourCycle === 'auto' ? {} : { hourCycle: clockSettings.hourCycle };
+}
+
+// Whether times end up in 24-hour format, after the locale's default is applied
+function uses24HourClock() {
+    const { hourCycle } = new Intl.DateTimeFormat(getClockLocale(), {
+        hour: 'numeric',
+        ...getHourCycleOptions()
+    }).resolvedOptions();
+    return hourCycle === 'h23' || hourCycle === 'h24';
+}
+
+function isRightToLeft(locale) {
+    try {
+        const info = new Intl.Locale(locale);
+        const textInfo = typeof info.getTextInfo === 'function' ? info.getTextInfo() : info.textInfo;
+        if (textInfo) return textInfo.direction === 'rtl';
+        return RTL_LANGUAGES.includes(info.language);
+    } catch (error) {
+        return false;
+    }
+}
+
+// Sets <html lang dir> so text, screen readers and the layout follow the locale
+function applyClockLocaleToPage() {
+    const locale = getClockLocale();
+    document.documentElement.lang = locale;
+    document.documentElement.dir = isRightToLeft(locale) ? 'rtl' : 'ltr';
+}
+
+function onClockSettingsChange(listener) {
+    clockSettingsListeners.push(listener);
+}
+
+function setClockSettings(changes) {
+    Object.assign(clockSettings, changes);
+    
+    try {
+        localStorage.setItem(CLOCK_SETTINGS_STORAGE_KEY, JSON.stringify(clockSettings));
+    } catch (error) {
+        console.error('Could not save clock settings:', error);
+    }
+    
+    applyClockLocaleToPage();
+    syncClockSettingsControls();
+    clockSettingsListeners.forEach(listener => listener(clockSettings));
+}
+
+function loadClockSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(CLOCK_SETTINGS_STORAGE_KEY));
+        if (!saved) return;
+        if (isSupportedLocale(saved.locale)) clockSettings.locale = saved.locale;
+        if (HOUR_CYCLES.some(cycle => cycle.value === saved.hourCycle)) clockSettings.hourCycle = saved.hourCycle;
+    } catch (error) {
+        console.error('Could not read saved clock settings:', error);
+    }
+}
+
+// ======= Controls =======
+
+function fillSelect(select, options) {
+    select.innerHTML = '';
+    options.forEach(({ value, label }) => select.add(new Option(label, value)));
+}
+
+function syncClockSettingsControls() {
+    const localeSelect = document.getElementById('clock-locale');
+    const hourCycleSelect = document.getElementById('clock-hour-cycle');
+    if (localeSelect) localeSelect.value = clockSettings.locale;
+    if (hourCycleSelect) hourCycleSelect.value = clockSettings.hourCycle;
+}
+
+function initClockSettingsControls() {
+    const localeSelect = document.getElementById('clock-locale');
+    const hourCycleSelect = document.getElementById('clock-hour-cycle');
+    
+    // A saved locale that isn't in the list (say, one set by hand) still gets shown
+    const locales = CLOCK_LOCALES.some(({ value }) => value === clockSettings.locale)
+        ? CLOCK_LOCALES
+        : [...CLOCK_LOCALES, { value: clockSettings.locale, label: clockSettings.locale }];
+    fillSelect(localeSelect, locales.filter(({ value }) => isSupportedLocale(value)));
+    fillSelect(hourCycleSelect, HOUR_CYCLES);
+    syncClockSettingsControls();
+    
+    localeSelect.addEventListener('change', () => setClockSettings({ locale: localeSelect.value }));
+    hourCycleSelect.addEventListener('change', () => setClockSettings({ hourCycle: hourCycleSelect.value }));
+}
+
+// Settings are read straight away, so the other scripts format correctly from the start
+loadClockSettings();
+applyClockLocaleToPage();
+
+document.addEventListener('DOMContentLoaded', initClockSettingsControls);
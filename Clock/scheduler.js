@@ -0,0 +1,92 @@
+// Drift-free scheduler for clocks
+//
+// setInterval(fn, 1000) counts seconds from whenever it was started, and every
+// call runs a little late, so the delay piles up. A clock driven by it shows
+// each new second part-way through, and every so often skips or repeats one.
+//
+// Instead, each tick here is timed to land just after the next wall-clock
+// second boundary (e.g. 12:00:01.000), using a fresh setTimeout every time.
+// performance.now() is used to check when a timer fires early, and the
+// callback is never called twice for the same second.
+//
+// Usage:
+//   const scheduler = createClockScheduler(now => render(now));
+//   scheduler.start();  // calls render(now) straight away, then every second
+//   scheduler.stop();
+
+// Land this many milliseconds after the boundary, so rounding in the
+// browser's timers can't put us just before it
+const TICK_MARGIN_MS = 5;
+
+function createClockScheduler(onTick) {
+    let timeoutId = null;
+    let running = false;
+    let lastSecond = null; // the second (ms since 1970 / 1000) last passed to onTick
+    
+    function tick() {
+        const now = new Date();
+        const second = Math.floor(now.getTime() / 1000);
+        
+        // Only call onTick once per second, however the timers behave
+        if (second !== lastSecond) {
+            lastSecond = second;
+            // A throwing handler mustn't stop the clock: report it and keep ticking
+            try {
+                onTick(now);
+            } catch (error) {
+                console.error('Clock tick failed:', error);
+            }
+        }
+    }
+    
+    function scheduleNext() {
+        clearTimeout(timeoutId); // never two timers, even if onTick restarted us
+        const delay = 1000 - (Date.now() % 1000) + TICK_MARGIN_MS;
+        const target = performance.now() + delay;
+        
+        timeoutId = setTimeout(function onTimeout() {
+            // Some browsers fire timers a millisecond or two early;
+            // wait out the rest rather than showing the same second again
+            const early = target - performance.now();
+            if (early > 0) {
+                timeoutId = setTimeout(onTimeout, early);
+                return;
+            }
+            
+            tick();
+            if (running) scheduleNext(); // onTick may have called stop()
+        }, delay);
+    }
+    
+    // Background tabs throttle timers (sometimes to once a minute), so when the
+    // page becomes visible again, show the right time at once and line up again
+    function handleVisibilityChange() {
+        if (!running || document.visibilityState !== 'visible') return;
+        clearTimeout(timeoutId);
+        tick();
+        if (running) scheduleNext();
+    }
+    
+    return {
+        start() {
+            if (running) return;
+            running = true;
+            lastSecond = null;
+            document.addEventListener('visibilitychange', handleVisibilityChange);
+            tick();
+            if (running) scheduleNext();
+        },
+        
+        stop() {
+            if (!running) return;
+            running = false;
+            clearTimeout(timeoutId);
+            timeoutId = null;
+            document.removeEventListener('visibilitychange', handleVisibilityChange);
+        },
+        
+        isRunning() {
+            return running;
+        }
+    };
+}
@@ -1,49 +1,72 @@
-// Function to update the clock
-function updateClock() {
-    // Get current date and time
-    const now = new Date();
+// Intl formatters for the current locale settings (see locale.js).
+// Making one is slow, so they're only rebuilt when the settings change.
+let timeFormatter = null;
+let dateFormatter = null;
+
+function createClockFormatters() {
+    const locale = getClockLocale();
     
-    // Extract hours, minutes, and seconds
-    let hours = now.getHours();
-    const minutes = now.getMinutes();
-    const seconds = now.getSeconds();
+    timeFormatter = new Intl.DateTimeFormat(locale, {
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+        ...getHourCycleOptions()
+    });
+    dateFormatter = new Intl.DateTimeFormat(locale, {
+        weekday: 'long',
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+    });
+}
+
+// Function to update the clock
+// (the scheduler passes in the time it ticked for)
+function updateClock(now = new Date()) {
+    if (!timeFormatter) createClockFormatters();
     
-    // Determine AM or PM
-    const amPm = hours >= 12 ? 'PM' : 'AM';
+    // Split the formatted time into its pieces: hour, minute, second, and
+    // dayPeriod (AM/PM, or the locale's word for it) when it's a 12-hour clock.
+    // The digits come out in the locale's own numerals, e.g. ٠٩ in Arabic.
+    const parts = timeFormatter.formatToParts(now);
+    const getPart = type => (parts.find(part => part.type === type) || {}).value || '';
+    const dayPeriod = getPart('dayPeriod');
     
-    // Convert to 12-hour format
-    hours = hours % 12;
-    hours = hours ? hours : 12; // If hours is 0, display 12
+    // Some locales (like Japanese) put AM/PM before the time
+    const periodIndex = parts.findIndex(part => part.type === 'dayPeriod');
+    const periodFirst = periodIndex !== -1 && periodIndex < parts.findIndex(part => part.type === 'hour');
     
-    // Format time with leading zeros
-    const formattedHours = String(hours).padStart(2, '0');
-    const formattedMinutes = String(minutes).padStart(2, '0');
-    const formattedSeconds = String(seconds).padStart(2, '0');
+    // Update the DOM elements
+    document.getElementById('hours').textContent = getPart('hour');
+    document.getElementById('minutes').textContent = getPart('minute');
+    document.getElementById('seconds').textContent = getPart('second');
     
-    // Format date
-    const options = { 
-        weekday: 'long', 
-        year: 'numeric', 
-        month: 'long', 
-        day: 'numeric' 
-    };
-    const dateString = now.toLocaleDateString('en-US', options);
+    const amPm = document.getElementById('am-pm');
+    amPm.textContent = dayPeriod;
+    amPm.hidden = !dayPeriod; // 24-hour clocks have no AM/PM
+    amPm.classList.toggle('first', periodFirst);
     
-    // Update the DOM elements
-    document.getElementById('hours').textContent = formattedHours;
-    document.getElementById('minutes').textContent = formattedMinutes;
-    document.getElementById('seconds').textContent = formattedSeconds;
-    document.getElementById('am-pm').textContent = amPm;
-    document.getElementById('date').textContent = dateString;
+    document.getElementById('date').textContent = dateFormatter.format(now);
 }
 
+// When the language or 12/24-hour setting changes, redraw straight away
+onClockSettingsChange(() => {
+    createClockFormatters();
+    updateClock();
+});
+
+// Ticks on each wall-clock second (see scheduler.js)
+const clockScheduler = createClockScheduler((now) => {
+    updateClock(now);
+    updateAnalogClock(now); // analogClock.js
+    updateWorldClocks(now); // worldClock.js
+    checkAlarms(now); // alarms.js
+});
+
 // Initialize clock
 function initClock() {
-    // Update immediately when page loads
-    updateClock();
-    
-    // Then update every second using setInterval
-    setInterval(updateClock, 1000);
+    // Update immediately when page loads, then at the start of every second
+    clockScheduler.start();
     
     console.log('Clock initialized and running!');
 }
@@ -0,0 +1,286 @@
+// World clock board
+//
+// Shows the time in other cities next to the local clock. Each clock shows the
+// time, its offset from UTC, whether it's day or night there, and whether it's
+// already tomorrow (or still yesterday) compared to here.
+//
+// Everything is worked out by Intl.DateTimeFormat, which knows every IANA
+// time zone ("Europe/London", "Asia/Kolkata", ...) and its daylight saving rules.
+// Times follow the clock's language and 12/24-hour settings (see locale.js).
+// The list is saved in localStorage.
+
+const WORLD_CLOCK_STORAGE_KEY = 'clock:world-clocks';
+
+// Friendly names for some common cities; any IANA zone or its city part
+// ("Kolkata", "Asia/Kolkata") works too
+const CITY_TIME_ZONES = {
+    'London': 'Europe/London',
+    'Paris': 'Europe/Paris',
+    'Berlin': 'Europe/Berlin',
+    'Moscow': 'Europe/Moscow',
+    'Dubai': 'Asia/Dubai',
+    'Mumbai': 'Asia/Kolkata',
+    'Delhi': 'Asia/Kolkata',
+    'Kolkata': 'Asia/Kolkata',
+    'Singapore': 'Asia/Singapore',
+    'Beijing': 'Asia/Shanghai',
+    'Tokyo': 'Asia/Tokyo',
+    'Sydney': 'Australia/Sydney',
+    'Auckland': 'Pacific/Auckland',
+    'Honolulu': 'Pacific/Honolulu',
+    'Los Angeles': 'America/Los_Angeles',
+    'San Francisco': 'America/Los_Angeles',
+    'Chicago': 'America/Chicago',
+    'New York': 'America/New_York',
+    'Toronto': 'America/Toronto',
+    'Mexico City': 'America/Mexico_City',
+    'São Paulo': 'America/Sao_Paulo',
+    'Cairo': 'Africa/Cairo',
+    'Lagos': 'Africa/Lagos',
+    'Johannesburg': 'Africa/Johannesburg'
+};
+
+// Between these hours (in that city) it counts as day
+const DAY_START_HOUR = 6;
+const NIGHT_START_HOUR = 18;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const worldClockState = {
+    clocks: [] // [{ label: 'London', timeZone: 'Europe/London' }]
+};
+
+// { clock, item, timeElement, offsetElement, dayElement } for each clock on screen
+let worldClockItems = [];
+
+// Creating an Intl formatter is slow, so each one is made once and reused
+const formatterCache = new Map(); // DateTimeFormats, by locale + time zone + options
+const relativeFormatterCache = new Map(); // RelativeTimeFormats, by locale
+
+function getFormatter(locale, timeZone, options) {
+    const key = locale + timeZone + JSON.stringify(options);
+    if (!formatterCache.has(key)) {
+        formatterCache.set(key, new Intl.DateTimeFormat(locale, { timeZone, ...options }));
+    }
+    return formatterCache.get(key);
+}
+
+function getSupportedTimeZones() {
+    return typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+}
+
+// "America/New_York" -> "New York"
+function getCityName(timeZone) {
+    return timeZone.split('/').pop().replace(/_/g, ' ')
+        .split(' ').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+// Turns what the user typed into { label, timeZone }, or null if it isn't a place we know
+function resolveTimeZone(input) {
+    const text = input.trim();
+    if (!text) return null;
+    const lower = text.toLowerCase();
+    
+    const city = Object.keys(CITY_TIME_ZONES).find(name => name.toLowerCase() === lower);
+    if (city) return { label: city, timeZone: CITY_TIME_ZONES[city] };
+    
+    const zone = getSupportedTimeZones().find(id =>
+        id.toLowerCase() === lower || getCityName(id).toLowerCase() === lower);
+    if (zone) return { label: getCityName(zone), timeZone: zone };
+    
+    // Zones the list above leaves out, like "UTC" or "Etc/GMT+5". Browsers may
+    // answer with an older name for the same zone ("Asia/Kolkata" -> "Asia/Calcutta"),
+    // so the label comes from what was typed.
+    try {
+        const timeZone = new Intl.DateTimeFormat('en-US', { timeZone: text }).resolvedOptions().timeZone;
+        return { label: getCityName(text), timeZone };
+    } catch (error) {
+        return null; // RangeError: not a time zone
+    }
+}
+
+// The wall-clock date and hour in a time zone, plus its UTC offset ("UTC+5:30")
+function getZoneParts(now, timeZone) {
+    const parts = {};
+    // Always 'en-US' here, so the numbers come out as digits Number() can read
+    getFormatter('en-US', timeZone, {
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        hourCycle: 'h23',
+        timeZoneName: 'shortOffset'
+    }).formatToParts(now).forEach(part => {
+        parts[part.type] = part.value;
+    });
+    
+    // Intl calls the offset "GMT+5:30", or just "GMT" for zero
+    const offset = parts.timeZoneName.replace('GMT', 'UTC');
+    
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hour: Number(parts.hour),
+        offset: offset === 'UTC' ? 'UTC+0' : offset
+    };
+}
+
+// -1 if that city's date is behind ours, 1 if it's ahead, 0 if it's the same day
+function getDayDifference(now, zone) {
+    const zoneDay = Date.UTC(zone.year, zone.month - 1, zone.day);
+    const localDay = Date.UTC(now.getFullYear(), now.getMonth(), now.getDate());
+    return Math.round((zoneDay - localDay) / MS_PER_DAY);
+}
+
+// 1 -> "Tomorrow", -1 -> "Yesterday", 0 -> "Today", in the clock's language
+function describeDay(difference) {
+    const locale = getClockLocale();
+    if (!relativeFormatterCache.has(locale)) {
+        relativeFormatterCache.set(locale, new Intl.RelativeTimeFormat(locale, { numeric: 'auto' }));
+    }
+    const text = relativeFormatterCache.get(locale).format(difference, 'day');
+    return text.charAt(0).toLocaleUpperCase(locale) + text.slice(1);
+}
+
+// ======= Saving =======
+
+function saveWorldClocks() {
+    try {
+        localStorage.setItem(WORLD_CLOCK_STORAGE_KEY, JSON.stringify(worldClockState));
+    } catch (error) {
+        console.error('Could not save world clocks:', error);
+    }
+}
+
+function loadWorldClocks() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(WORLD_CLOCK_STORAGE_KEY));
+        if (!saved) return;
+        
+        // Skip anything this browser doesn't recognise as a time zone
+        worldClockState.clocks = (Array.isArray(saved.clocks) ? saved.clocks : []).filter(clock =>
+            clock && typeof clock.timeZone === 'string' && typeof clock.label === 'string' &&
+            resolveTimeZone(clock.timeZone));
+    } catch (error) {
+        console.error('Could not read saved world clocks:', error);
+    }
+}
+
+// ======= Display =======
+
+function renderWorldClockList() {
+    const list = document.getElementById('world-clock-list');
+    list.innerHTML = '';
+    
+    worldClockItems = worldClockState.clocks.map((clock, index) => {
+        const item = document.createElement('li');
+        item.className = 'world-clock-item';
+        
+        const name = document.createElement('div');
+        name.className = 'world-clock-name';
+        name.textContent = clock.label;
+        name.title = clock.timeZone;
+        
+        const timeElement = document.createElement('div');
+        timeElement.className = 'world-clock-time';
+        
+        const details = document.createElement('div');
+        details.className = 'world-clock-details';
+        const dayElement = document.createElement('span');
+        const offsetElement = document.createElement('span');
+        details.append(dayElement, offsetElement);
+        
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.className = 'world-clock-remove';
+        removeButton.textContent = '×';
+        removeButton.setAttribute('aria-label', `Remove ${clock.label}`);
+        removeButton.addEventListener('click', () => removeWorldClock(index));
+        
+        item.append(name, timeElement, details, removeButton);
+        list.appendChild(item);
+        
+        return { clock, item, timeElement, offsetElement, dayElement };
+    });
+    
+    document.getElementById('world-clock-empty').hidden = worldClockItems.length > 0;
+    document.getElementById('world-clock-format').textContent =
+        uses24HourClock() ? 'Switch to 12-hour' : 'Switch to 24-hour';
+    
+    updateWorldClocks();
+}
+
+// Called every second by the clock's scheduler
+function updateWorldClocks(now = new Date()) {
+    worldClockItems.forEach(({ clock, item, timeElement, offsetElement, dayElement }) => {
+        const zone = getZoneParts(now, clock.timeZone);
+        const isDay = zone.hour >= DAY_START_HOUR && zone.hour < NIGHT_START_HOUR;
+        
+        timeElement.textContent = getFormatter(getClockLocale(), clock.timeZone, {
+            hour: 'numeric',
+            minute: '2-digit',
+            ...getHourCycleOptions()
+        }).format(now);
+        offsetElement.textContent = zone.offset;
+        dayElement.textContent = `${isDay ? '☀' : '☾'} ${describeDay(getDayDifference(now, zone))}`;
+        item.classList.toggle('night', !isDay);
+        item.title = `${isDay ? 'Daytime' : 'Night-time'} in ${clock.label}`;
+    });
+}
+
+// ======= Adding and removing =======
+
+function addWorldClock(input) {
+    const clock = resolveTimeZone(input);
+    if (!clock) return `"${input.trim()}" isn't a city or time zone we know. Try a name like "Tokyo" or "Asia/Tokyo".`;
+    
+    const exists = worldClockState.clocks.some(existing =>
+        existing.timeZone === clock.timeZone && existing.label === clock.label);
+    if (exists) return `${clock.label} is already on the board.`;
+    
+    worldClockState.clocks.push(clock);
+    saveWorldClocks();
+    renderWorldClockList();
+    return null;
+}
+
+function removeWorldClock(index) {
+    worldClockState.clocks.splice(index, 1);
+    saveWorldClocks();
+    renderWorldClockList();
+    document.getElementById('world-clock-input').focus();
+}
+
+// Suggestions for the input: the friendly city names, then every IANA zone
+function fillTimeZoneSuggestions() {
+    const datalist = document.getElementById('world-clock-zones');
+    const names = [...Object.keys(CITY_TIME_ZONES), ...getSupportedTimeZones()];
+    datalist.innerHTML = names.map(name => `<option value="${name}"></option>`).join('');
+}
+
+function initWorldClock() {
+    const form = document.getElementById('world-clock-form');
+    const input = document.getElementById('world-clock-input');
+    const error = document.getElementById('world-clock-error');
+    
+    loadWorldClocks();
+    fillTimeZoneSuggestions();
+    renderWorldClockList();
+    
+    form.addEventListener('submit', (event) => {
+        event.preventDefault();
+        const message = addWorldClock(input.value);
+        error.textContent = message || '';
+        if (!message) input.value = '';
+    });
+    
+    // Shares the 12/24-hour setting with the main clock
+    document.getElementById('world-clock-format').addEventListener('click', () => {
+        setClockSettings({ hourCycle: uses24HourClock() ? 'h12' : 'h23' });
+    });
+    
+    onClockSettingsChange(renderWorldClockList);
+}
+
+document.addEventListener('DOMContentLoaded', initWorldClock);
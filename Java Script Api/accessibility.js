@@ -0,0 +1,108 @@
+// Accessibility Helpers
+// Screen reader announcements, keeping keyboard focus somewhere sensible when
+// parts of the page are hidden, and arrow-key navigation across a grid of cards.
+
+const politeAnnouncer = document.getElementById("announcer-polite");
+const assertiveAnnouncer = document.getElementById("announcer-assertive");
+
+let hasFocusedAnything = false; // until the user focuses something, focus is left alone (no jumps on page load)
+document.addEventListener('focusin', () => {
+  hasFocusedAnything = true;
+});
+
+// Read a message out through an aria-live region. Errors use the assertive region
+// so they interrupt; everything else waits its turn.
+function announce(message, { assertive = false } = {}) {
+  const region = assertive ? assertiveAnnouncer : politeAnnouncer;
+
+  // Clearing first makes screen readers repeat a message that didn't change
+  region.textContent = '';
+  setTimeout(() => {
+    region.textContent = message;
+  }, 50);
+}
+
+// True when keyboard focus is on nothing useful: the page itself, an element that
+// was removed, or one inside something hidden
+function isFocusLost() {
+  if (!hasFocusedAnything) return false;
+  const active = document.activeElement;
+  return !active || active === document.body || !active.isConnected || Boolean(active.closest('.hidden'));
+}
+
+// Move focus to target (made focusable if needed), but only if focus was lost,
+// so we never pull focus away from something the user is working with
+function moveFocusIfLost(target) {
+  if (!target || !isFocusLost()) return;
+
+  if (!target.hasAttribute('tabindex') && target.tabIndex < 0) {
+    target.setAttribute('tabindex', '-1');
+  }
+  target.focus({ preventScroll: true });
+}
+
+// Number of cards in the first row, read from the layout so it follows the
+// responsive column count
+function getGridColumnCount(cards) {
+  if (cards.length === 0) return 1;
+  const firstTop = cards[0].offsetTop;
+  const columns = cards.findIndex(card => card.offsetTop !== firstTop);
+  return columns === -1 ? cards.length : columns;
+}
+
+// Roving tabindex: only one card is in the tab order; arrow keys, Home and End
+// move between cards. Call again after the cards change (keeps the current card if it's still there).
+function updateRovingTabindex(container, cardSelector) {
+  const cards = [...container.querySelectorAll(cardSelector)];
+  const current = cards.find(card => card.tabIndex === 0) || cards[0];
+  cards.forEach(card => {
+    card.tabIndex = card === current ? 0 : -1;
+  });
+}
+
+// Arrow-key navigation for a grid of cards. onActivate(card) runs for Enter and Space.
+function enableGridKeyboardNavigation(container, cardSelector, onActivate) {
+  container.addEventListener('keydown', (event) => {
+    const card = event.target.closest(cardSelector);
+    // Keys pressed on a button or checkbox inside a card belong to that control
+    if (!card || event.target !== card) return;
+
+    const cards = [...container.querySelectorAll(cardSelector)];
+    const index = cards.indexOf(card);
+    const columns = getGridColumnCount(cards);
+    let nextIndex = null;
+
+    switch (event.key) {
+      case 'ArrowRight': nextIndex = index + 1; break;
+      case 'ArrowLeft': nextIndex = index - 1; break;
+      case 'ArrowDown': nextIndex = index + columns; break;
+      case 'ArrowUp': nextIndex = index - columns; break;
+      case 'Home': nextIndex = 0; break;
+      case 'End': nextIndex = cards.length - 1; break;
+      case 'Enter':
+      case ' ':
+        event.preventDefault();
+        onActivate(card);
+        return;
+      default:
+        return;
+    }
+
+    event.preventDefault();
+    const next = cards[Math.max(0, Math.min(cards.length - 1, nextIndex))];
+    if (next && next !== card) {
+      card.tabIndex = -1;
+      next.tabIndex = 0;
+      next.focus();
+    }
+  });
+
+  // Clicking or tabbing into a card makes it the one Tab comes back to
+  container.addEventListener('focusin', (event) => {
+    const card = event.target.closest(cardSelector);
+    if (!card) return;
+    container.querySelectorAll(cardSelector).forEach(other => {
+      other.tabIndex = other === card ? 0 : -1;
+    });
+  });
+}
@@ -0,0 +1,104 @@
+// Listing Cache
+// Keeps the last listing response for each data source + delivery location in
+// localStorage, so the grid can be drawn straight away on the next visit while a
+// fresh copy is fetched in the background (stale-while-revalidate).
+//
+// Entry shape: { payload: <raw first page response>, fetchedAt: <ms timestamp> }
+//
+// The entry written by the last successful fetch is also remembered on its own, so
+// the offline page (offline.html) can show it without knowing the source or location.
+
+const LISTING_CACHE_PREFIX = 'foodapp:listing:';
+const LISTING_CACHE_LIMIT = 5; // entries kept; the oldest ones are dropped first
+const LISTING_FRESH_FOR = 5 * 60 * 1000; // younger entries are shown without asking the network
+const LAST_LISTING_STORAGE_KEY = 'foodapp:last-listing'; // { key, location } of the last successful fetch
+
+// Coordinates are rounded to ~100m so tiny GPS jitter still hits the same entry
+function getListingCacheKey(sourceName, { lat, lng }) {
+  return `${LISTING_CACHE_PREFIX}${sourceName}:${lat.toFixed(3)},${lng.toFixed(3)}`;
+}
+
+function readListingCache(key) {
+  try {
+    const entry = JSON.parse(localStorage.getItem(key));
+    return entry && entry.payload && Number.isFinite(entry.fetchedAt) ? entry : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function getListingCacheKeys() {
+  return Object.keys(localStorage).filter(key => key.startsWith(LISTING_CACHE_PREFIX));
+}
+
+// Oldest entry first
+function getCacheKeysByAge() {
+  return getListingCacheKeys()
+    .map(key => ({ key, fetchedAt: (readListingCache(key) || { fetchedAt: 0 }).fetchedAt }))
+    .sort((a, b) => a.fetchedAt - b.fetchedAt)
+    .map(entry => entry.key);
+}
+
+// Save a listing, making room by dropping old entries if storage is full
+function writeListingCache(key, payload, fetchedAt = Date.now()) {
+  const value = JSON.stringify({ payload, fetchedAt });
+  const evictable = getCacheKeysByAge().filter(cacheKey => cacheKey !== key);
+
+  while (evictable.length >= LISTING_CACHE_LIMIT) {
+    localStorage.removeItem(evictable.shift());
+  }
+
+  while (true) {
+    try {
+      localStorage.setItem(key, value);
+      return true;
+    } catch (error) {
+      if (evictable.length === 0) {
+        // Too big to store even on its own; the app still works, just uncached
+        console.warn("Couldn't cache restaurant listing:", error);
+        return false;
+      }
+      localStorage.removeItem(evictable.shift());
+    }
+  }
+}
+
+function rememberLastListing(key, location) {
+  localStorage.setItem(LAST_LISTING_STORAGE_KEY, JSON.stringify({ key, location }));
+}
+
+// The last successful listing as { payload, fetchedAt, location }, or null if nothing is
+// cached. Falls back to the newest entry (with location null) if that one was evicted.
+function readLastListing() {
+  let last = null;
+  try {
+    last = JSON.parse(localStorage.getItem(LAST_LISTING_STORAGE_KEY));
+  } catch (error) {
+    // Unreadable pointer, use the newest entry below
+  }
+
+  const entry = last && readListingCache(last.key);
+  if (entry) return { ...entry, location: last.location || null };
+
+  const newestKey = getCacheKeysByAge().pop();
+  const newest = newestKey ? readListingCache(newestKey) : null;
+  return newest ? { ...newest, location: null } : null;
+}
+
+function isListingCacheFresh(entry, now = Date.now()) {
+  return now - entry.fetchedAt < LISTING_FRESH_FOR;
+}
+
+// 45000 -> "just now", 600000 -> "10 min ago", ...
+function formatAge(fetchedAt, now = Date.now()) {
+  const minutes = Math.floor((now - fetchedAt) / 60000);
+
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours} h ago`;
+
+  const days = Math.floor(hours / 24);
+  return days === 1 ? 'yesterday' : `${days} days ago`;
+}
@@ -0,0 +1,367 @@
+// Cart and Checkout
+// Keeps the cart in localStorage so it survives reloads, and renders the cart
+// (#/cart) and checkout (#/checkout) views. All money maths is done by pricing.js.
+//
+// Cart shape:
+//   {
+//     restaurant: { id, name, locality, cloudinaryImageId, offer: { header, subHeader } | null },
+//     items: [{ id, name, price, isVeg, quantity }]
+//   }
+// A cart only ever holds items from one restaurant.
+
+const cartView = document.getElementById("cart-view");
+const checkoutView = document.getElementById("checkout-view");
+const cartCountElement = document.getElementById("cart-count");
+const cartBarElement = document.getElementById("cart-bar");
+const cartBarSummaryElement = document.getElementById("cart-bar-summary");
+
+const CART_STORAGE_KEY = 'foodapp:cart';
+
+let cart = loadCart();
+
+function createEmptyCart() {
+  return { restaurant: null, items: [] };
+}
+
+// Read the saved cart, ignoring anything that doesn't look like one
+function loadCart() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(CART_STORAGE_KEY));
+    if (saved && Array.isArray(saved.items) && saved.items.length > 0 && saved.restaurant) {
+      return {
+        restaurant: saved.restaurant,
+        items: saved.items.filter(item => item && item.id && typeof item.price === 'number' && item.quantity > 0)
+      };
+    }
+  } catch (error) {
+    console.warn("Ignoring unreadable saved cart:", error);
+  }
+
+  return createEmptyCart();
+}
+
+function saveCart() {
+  if (cart.items.length === 0) {
+    cart = createEmptyCart();
+    localStorage.removeItem(CART_STORAGE_KEY);
+  } else {
+    localStorage.setItem(CART_STORAGE_KEY, JSON.stringify(cart));
+  }
+
+  updateCartUI();
+}
+
+function getCartQuantity(itemId) {
+  const cartItem = cart.items.find(entry => entry.id === itemId);
+  return cartItem ? cartItem.quantity : 0;
+}
+
+function getCartTotals() {
+  return calculateOrderTotals(cart.items, parseOffer(cart.restaurant?.offer));
+}
+
+// Add one of a menu item. Asks before replacing a cart from another restaurant.
+// Returns false if the user cancelled.
+function addToCart(restaurant, item) {
+  const { info } = restaurant;
+
+  if (cart.restaurant && cart.restaurant.id !== info.id && cart.items.length > 0) {
+    const replace = confirm(
+      `Your cart has items from ${cart.restaurant.name}. ` +
+      `Discard them and start a new cart from ${info.name}?`
+    );
+    if (!replace) return false;
+    cart = createEmptyCart();
+  }
+
+  if (!cart.restaurant || cart.restaurant.id !== info.id) {
+    cart.restaurant = {
+      id: info.id,
+      name: info.name,
+      locality: info.locality,
+      cloudinaryImageId: info.cloudinaryImageId,
+      offer: info.aggregatedDiscountInfoV3 || info.aggregatedDiscountInfo || null
+    };
+  }
+
+  const cartItem = cart.items.find(entry => entry.id === item.id);
+  if (cartItem) {
+    cartItem.quantity++;
+  } else {
+    cart.items.push({ id: item.id, name: item.name, price: item.price, isVeg: item.isVeg, quantity: 1 });
+  }
+
+  saveCart();
+  return true;
+}
+
+// Add or remove units of an item already in the cart; 0 removes it
+function changeCartQuantity(itemId, delta) {
+  const cartItem = cart.items.find(entry => entry.id === itemId);
+  if (!cartItem) return;
+
+  cartItem.quantity += delta;
+  cart.items = cart.items.filter(entry => entry.quantity > 0);
+  saveCart();
+}
+
+function clearCart() {
+  cart = createEmptyCart();
+  saveCart();
+}
+
+// ADD button, or a − n + stepper once the item is in the cart
+function renderCartControls(item) {
+  if (item.price === null || !item.inStock) {
+    return html`<span class="text-xs text-gray-400">Unavailable</span>`;
+  }
+
+  const quantity = getCartQuantity(item.id);
+
+  if (quantity === 0) {
+    return html`
+      <button data-cart-action="add" data-item-id="${item.id}"
+              class="w-24 py-1.5 bg-white border border-gray-300 text-green-600 font-bold text-sm rounded-md shadow-sm hover:shadow">
+        ADD
+      </button>
+    `;
+  }
+
+  return html`
+    <div class="w-24 flex items-center justify-between bg-white border border-gray-300 text-green-600 font-bold text-sm rounded-md shadow-sm">
+      <button data-cart-action="decrement" data-item-id="${item.id}" class="px-3 py-1.5" aria-label="Remove one ${item.name}">−</button>
+      <span>${quantity}</span>
+      <button data-cart-action="increment" data-item-id="${item.id}" class="px-3 py-1.5" aria-label="Add one more ${item.name}">+</button>
+    </div>
+  `;
+}
+
+// Refresh everything that shows cart contents
+function updateCartUI() {
+  const totals = getCartTotals();
+
+  cartCountElement.textContent = totals.itemCount;
+
+  cartBarElement.classList.toggle('hidden', totals.itemCount === 0);
+  cartBarSummaryElement.textContent =
+    `${totals.itemCount} item${totals.itemCount === 1 ? '' : 's'} | ${formatPrice(totals.total)}`;
+
+  // Steppers on the open menu
+  menuContainer.querySelectorAll('[data-cart-controls]').forEach(controls => {
+    const item = currentMenuItems.get(controls.dataset.cartControls);
+    if (item) controls.innerHTML = renderCartControls(item);
+  });
+
+  if (!cartView.classList.contains('hidden')) renderCartView();
+  if (!checkoutView.classList.contains('hidden')) renderCheckoutView();
+}
+
+function renderBillDetails(totals) {
+  const offerText = cart.restaurant?.offer
+    ? [cart.restaurant.offer.header, cart.restaurant.offer.subHeader].filter(Boolean).join(' ')
+    : '';
+
+  return html`
+    <div class="space-y-2 text-sm text-gray-700">
+      <div class="flex justify-between"><span>Item total</span><span>${formatPrice(totals.subtotal)}</span></div>
+      ${totals.discount > 0 ? html`
+      <div class="flex justify-between text-green-600">
+        <span>Offer discount${offerText ? ` (${offerText})` : ''}</span>
+        <span>−${formatPrice(totals.discount)}</span>
+      </div>
+      ` : ''}
+      <div class="flex justify-between">
+        <span>Delivery fee</span>
+        <span>${totals.deliveryFee === 0 ? html`<span class="text-green-600">FREE</span>` : formatPrice(totals.deliveryFee)}</span>
+      </div>
+      <div class="flex justify-between pt-2 border-t border-gray-200 font-bold text-gray-900 text-base">
+        <span>To pay</span><span>${formatPrice(totals.total)}</span>
+      </div>
+    </div>
+  `;
+}
+
+function renderEmptyCart(container) {
+  container.innerHTML = html`
+    <div class="py-20 flex flex-col items-center justify-center">
+      <div class="text-gray-400 text-5xl mb-4">🛒</div>
+      <h3 class="text-xl font-bold text-gray-800 mb-2">Your cart is empty</h3>
+      <p class="text-gray-600 mb-4">Add something from a restaurant's menu to get started.</p>
+      <a href="#${getListPath()}" class="px-4 py-2 bg-primary-500 text-white rounded-md hover:bg-primary-600 transition-colors">
+        Browse restaurants
+      </a>
+    </div>
+  `;
+}
+
+function renderCartView() {
+  if (cart.items.length === 0) {
+    renderEmptyCart(cartView);
+    return;
+  }
+
+  const totals = getCartTotals();
+  const { restaurant } = cart;
+  const imageUrl = buildImageUrl(BASE_URL, restaurant.cloudinaryImageId);
+
+  cartView.innerHTML = html`
+    <div class="max-w-2xl mx-auto bg-white rounded-lg shadow-md p-6">
+      <div class="flex items-center gap-4 pb-4 border-b border-gray-100">
+        ${imageUrl ? html`
+        <img src="${imageUrl}" alt="${restaurant.name}"
+             class="w-16 h-16 object-cover rounded-md" />
+        ` : ''}
+        <div>
+          <a href="#/restaurant/${encodeURIComponent(restaurant.id)}" class="text-lg font-bold text-gray-800 hover:text-primary-600">
+            ${restaurant.name}
+          </a>
+          <p class="text-sm text-gray-500">${restaurant.locality}</p>
+        </div>
+      </div>
+
+      <ul class="py-2">
+        ${cart.items.map(item => html`
+        <li class="flex items-center gap-4 py-3">
+          ${vegBadge(item.isVeg)}
+          <span class="flex-1 text-gray-800">${item.name}</span>
+          ${renderCartControls({ ...item, inStock: true })}
+          <span class="w-20 text-right text-gray-700">${formatPrice(item.price * item.quantity)}</span>
+        </li>
+        `)}
+      </ul>
+
+      <h3 class="font-semibold text-gray-800 mt-4 mb-3">Bill details</h3>
+      ${renderBillDetails(totals)}
+
+      <div class="flex justify-between items-center mt-6">
+        <button data-cart-action="clear" class="text-sm text-gray-500 underline hover:text-gray-700">Clear cart</button>
+        <a href="#/checkout" class="px-6 py-2.5 bg-primary-500 text-white font-medium rounded-md hover:bg-primary-600 transition-colors">
+          Proceed to checkout
+        </a>
+      </div>
+    </div>
+  `;
+}
+
+function renderCheckoutView() {
+  if (cart.items.length === 0) {
+    // Leave a just-placed order's confirmation on screen
+    if (!checkoutView.querySelector('[data-order-confirmation]')) {
+      renderEmptyCart(checkoutView);
+    }
+    return;
+  }
+
+  const totals = getCartTotals();
+
+  checkoutView.innerHTML = html`
+    <form id="checkout-form" class="max-w-4xl mx-auto grid grid-cols-1 md:grid-cols-5 gap-6">
+      <div class="md:col-span-3 bg-white rounded-lg shadow-md p-6 space-y-4">
+        <h2 class="text-xl font-bold text-gray-800">Delivery details</h2>
+        <label class="block text-sm text-gray-700">
+          Name
+          <input name="name" required autocomplete="name" class="mt-1 w-full px-3 py-2 rounded-md border border-gray-300">
+        </label>
+        <label class="block text-sm text-gray-700">
+          Phone
+          <input name="phone" required type="tel" pattern="[0-9+ ]{10,15}" autocomplete="tel" class="mt-1 w-full px-3 py-2 rounded-md border border-gray-300">
+        </label>
+        <label class="block text-sm text-gray-700">
+          Address
+          <textarea name="address" required rows="3" autocomplete="street-address" class="mt-1 w-full px-3 py-2 rounded-md border border-gray-300"></textarea>
+        </label>
+        <fieldset class="text-sm text-gray-700">
+          <legend class="mb-2">Payment</legend>
+          <label class="mr-4"><input type="radio" name="payment" value="cod" checked> Cash on delivery</label>
+          <label><input type="radio" name="payment" value="upi"> UPI on delivery</label>
+        </fieldset>
+      </div>
+
+      <div class="md:col-span-2 bg-white rounded-lg shadow-md p-6">
+        <h2 class="text-xl font-bold text-gray-800">Order summary</h2>
+        <p class="text-sm text-gray-500 mb-4">${cart.restaurant.name}</p>
+        <ul class="mb-4 space-y-1 text-sm text-gray-700">
+          ${cart.items.map(item => html`
+          <li class="flex justify-between">
+            <span>${item.name} × ${item.quantity}</span>
+            <span>${formatPrice(item.price * item.quantity)}</span>
+          </li>
+          `)}
+        </ul>
+        ${renderBillDetails(totals)}
+        <button type="submit" class="mt-6 w-full py-2.5 bg-green-600 text-white font-medium rounded-md hover:bg-green-700 transition-colors">
+          Place order · ${formatPrice(totals.total)}
+        </button>
+      </div>
+    </form>
+  `;
+}
+
+// There's no order API, so placing an order just confirms it and empties the cart
+function placeOrder(form) {
+  const details = Object.fromEntries(new FormData(form));
+  const totals = getCartTotals();
+  const restaurantName = cart.restaurant.name;
+
+  checkoutView.innerHTML = html`
+    <div data-order-confirmation class="max-w-xl mx-auto py-16 flex flex-col items-center text-center">
+      <div class="text-green-600 text-5xl mb-4">✅</div>
+      <h2 class="text-2xl font-bold text-gray-800 mb-2">Order placed!</h2>
+      <p class="text-gray-600">
+        ${totals.itemCount} item${totals.itemCount === 1 ? '' : 's'} from ${restaurantName}
+        for ${formatPrice(totals.total)} will be delivered to ${details.name}.
+      </p>
+      <a href="#${getListPath()}" class="mt-6 px-4 py-2 bg-primary-500 text-white rounded-md hover:bg-primary-600 transition-colors">
+        Back to restaurants
+      </a>
+    </div>
+  `;
+
+  clearCart();
+}
+
+function showCartView() {
+  showView(cartView);
+  document.title = `Cart | ${LIST_TITLE}`;
+  window.scrollTo(0, 0);
+  renderCartView();
+}
+
+function showCheckoutView() {
+  checkoutView.innerHTML = '';
+  showView(checkoutView);
+  document.title = `Checkout | ${LIST_TITLE}`;
+  window.scrollTo(0, 0);
+  renderCheckoutView();
+}
+
+// Cart view buttons (steppers and "Clear cart")
+cartView.addEventListener('click', (event) => {
+  const button = event.target.closest('[data-cart-action]');
+  if (!button) return;
+
+  switch (button.dataset.cartAction) {
+    case 'increment':
+      changeCartQuantity(button.dataset.itemId, 1);
+      break;
+    case 'decrement':
+      changeCartQuantity(button.dataset.itemId, -1);
+      break;
+    case 'clear':
+      if (confirm('Remove everything from your cart?')) clearCart();
+      break;
+  }
+});
+
+checkoutView.addEventListener('submit', (event) => {
+  event.preventDefault();
+  placeOrder(event.target);
+});
+
+// Keep several open tabs in sync
+window.addEventListener('storage', (event) => {
+  if (event.key === CART_STORAGE_KEY) {
+    cart = loadCart();
+    updateCartUI();
+  }
+});
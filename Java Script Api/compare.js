@@ -0,0 +1,263 @@
+// Restaurant Comparison
+// Tick "Compare" on up to four cards, then open "#/compare/<id>,<id>,..." to see
+// them side by side. The ids live in the hash, so a comparison can be shared as a
+// link; restaurants that aren't in the loaded listing are looked up through their menu.
+
+const compareView = document.getElementById("compare-view");
+const compareBarElement = document.getElementById("compare-bar");
+const compareBarSummaryElement = document.getElementById("compare-bar-summary");
+const compareOpenButton = document.getElementById("compare-open");
+const compareClearButton = document.getElementById("compare-clear");
+
+const MAX_COMPARE = 4;
+const COMPARE_REFERENCE_ORDER = 500; // offers are compared by what they save on an order this size (rupees)
+
+let compareSelection = []; // ids ticked in the grid, in the order they were ticked
+let compareIds = []; // ids on the compare view
+let comparedRestaurants = new Map(); // id -> restaurant (or null if it couldn't be found), for ids not in allRestaurants
+let compareRequestId = 0;
+
+// What an offer saves on the reference order, or null if it can't be worked out
+function getOfferSaving(restaurant) {
+  const offer = parseOffer(restaurant.info.aggregatedDiscountInfoV3 || restaurant.info.aggregatedDiscountInfo);
+  const saving = offer ? calculateDiscount(COMPARE_REFERENCE_ORDER, offer) : 0;
+  return saving > 0 ? saving : null;
+}
+
+// Table rows. `best` says which value wins ('max' or 'min'); rows without one are never highlighted.
+const COMPARE_ROWS = [
+  {
+    label: 'Rating',
+    value: restaurant => restaurant.info.avgRating,
+    best: 'max',
+    format: restaurant => restaurant.info.avgRating === null ? 'New' : `${restaurant.info.avgRating} ⭐`
+  },
+  {
+    label: 'Delivery time',
+    value: restaurant => restaurant.deliveryMinutes,
+    best: 'min',
+    format: restaurant => restaurant.info.sla.slaString || '—'
+  },
+  {
+    label: 'Cost for two',
+    value: restaurant => restaurant.costForTwoAmount,
+    best: 'min',
+    format: restaurant => restaurant.info.costForTwo || '—'
+  },
+  {
+    label: 'Offers',
+    value: getOfferSaving,
+    best: 'max',
+    format: restaurant => {
+      if (!restaurant.hasOffers) return 'No offers';
+      const saving = getOfferSaving(restaurant);
+      const text = restaurant.offerText || 'Offers available';
+      return saving ? `${text} (saves ₹${saving} on ₹${COMPARE_REFERENCE_ORDER})` : text;
+    }
+  },
+  {
+    label: 'Cuisines',
+    value: () => null,
+    best: null,
+    format: restaurant => restaurant.info.cuisines.join(', ') || '—'
+  },
+  {
+    label: 'Locality',
+    value: () => null,
+    best: null,
+    format: restaurant => restaurant.info.locality || '—'
+  }
+];
+
+// Indexes of the best values. Missing values never win, and nothing is highlighted
+// when every restaurant has the same value.
+function getBestIndexes(values, direction) {
+  const known = values.filter(value => value !== null && value !== undefined);
+  if (!direction || known.length === 0) return new Set();
+  if (known.length === values.length && known.every(value => value === known[0])) return new Set();
+
+  const best = direction === 'max' ? Math.max(...known) : Math.min(...known);
+  return new Set(values.flatMap((value, index) => value === best ? [index] : []));
+}
+
+function getCompareUrl(ids) {
+  return `/compare/${ids.map(encodeURIComponent).join(',')}`;
+}
+
+function isSelectedForCompare(restaurantId) {
+  return compareSelection.includes(restaurantId);
+}
+
+// Tick or untick a card; returns false if the selection is already full
+function toggleCompare(restaurantId) {
+  if (isSelectedForCompare(restaurantId)) {
+    compareSelection = compareSelection.filter(id => id !== restaurantId);
+  } else if (compareSelection.length >= MAX_COMPARE) {
+    return false;
+  } else {
+    compareSelection = [...compareSelection, restaurantId];
+  }
+
+  updateCompareUI();
+  return true;
+}
+
+function clearCompare() {
+  compareSelection = [];
+  updateCompareUI();
+}
+
+// Card checkboxes and the floating compare bar
+function updateCompareUI() {
+  applyActiveFilter();
+  updateCompareBar();
+}
+
+function updateCompareBar(message) {
+  const count = compareSelection.length;
+  compareBarElement.classList.toggle('hidden', count === 0);
+
+  compareBarSummaryElement.textContent = message ||
+    (count === 1 ? 'Pick at least one more restaurant' : `${count} restaurants selected`);
+  compareOpenButton.disabled = count < 2;
+}
+
+function findRestaurant(restaurantId) {
+  return allRestaurants.find(restaurant => restaurant.info.id === restaurantId) ||
+    comparedRestaurants.get(restaurantId);
+}
+
+// "#/compare/:ids": show the table, looking up any restaurants we don't have yet
+async function showCompareView(ids) {
+  compareIds = [...new Set(ids.filter(Boolean))].slice(0, MAX_COMPARE);
+  if (compareIds.length === 0) {
+    navigate(getListPath(), { replace: true });
+    return;
+  }
+
+  compareSelection = [...compareIds];
+  updateCompareUI();
+
+  showView(compareView);
+  window.scrollTo(0, 0);
+  document.title = `Compare restaurants | ${LIST_TITLE}`;
+  renderCompareView();
+
+  const missingIds = compareIds.filter(id => findRestaurant(id) === undefined);
+  if (missingIds.length === 0) return;
+
+  const requestId = ++compareRequestId;
+  const results = await Promise.allSettled(missingIds.map(async id => {
+    const menu = parseMenuPayload(await loadRestaurantMenu(id, getCurrentLocation()));
+    return menu.restaurant;
+  }));
+  if (requestId !== compareRequestId) return;
+
+  results.forEach((result, index) => {
+    if (result.status === 'rejected') {
+      console.error("Error loading restaurant to compare:", result.reason);
+    }
+    comparedRestaurants.set(missingIds[index], result.status === 'fulfilled' ? result.value : null);
+  });
+
+  renderCompareView();
+}
+
+function renderCompareHeader(restaurantId, restaurant) {
+  const removeButton = html`
+    <button type="button" data-compare-remove="${restaurantId}" class="text-gray-400 hover:text-red-600" aria-label="Remove from comparison">✕</button>
+  `;
+
+  if (restaurant === undefined) {
+    return html`<th class="p-4 align-top text-left font-normal text-gray-500">Loading... ${removeButton}</th>`;
+  }
+  if (restaurant === null) {
+    return html`<th class="p-4 align-top text-left font-normal text-gray-500">Restaurant ${restaurantId} not found ${removeButton}</th>`;
+  }
+
+  const imageUrl = buildImageUrl(BASE_URL, restaurant.info.cloudinaryImageId);
+  return html`
+    <th class="p-4 align-top text-left min-w-[180px]">
+      ${imageUrl ? html`<img src="${imageUrl}" alt="" class="w-full h-24 object-cover rounded-md mb-2" />` : ''}
+      <div class="flex items-start justify-between gap-2">
+        <a href="#/restaurant/${encodeURIComponent(restaurantId)}" class="font-bold text-gray-800 hover:text-primary-600">${restaurant.info.name}</a>
+        ${removeButton}
+      </div>
+    </th>
+  `;
+}
+
+function renderCompareRow(row, restaurants) {
+  const values = restaurants.map(restaurant => restaurant ? row.value(restaurant) : null);
+  const bestIndexes = getBestIndexes(values, row.best);
+
+  return html`
+    <tr class="border-t border-gray-100">
+      <th scope="row" class="p-4 text-left text-sm font-semibold text-gray-600 whitespace-nowrap">${row.label}</th>
+      ${restaurants.map((restaurant, index) => html`
+        <td class="p-4 text-sm ${bestIndexes.has(index) ? 'bg-green-50 text-green-800 font-semibold' : 'text-gray-700'}">
+          ${restaurant ? row.format(restaurant) : '—'}
+          ${bestIndexes.has(index) ? html`<span class="sr-only">(best)</span>` : ''}
+        </td>
+      `)}
+    </tr>
+  `;
+}
+
+function renderCompareView() {
+  const restaurants = compareIds.map(findRestaurant);
+
+  compareView.innerHTML = html`
+    <div class="flex flex-wrap items-center justify-between gap-4 mb-6">
+      <a href="#${getListPath()}" class="flex items-center text-primary-500 font-medium hover:text-primary-600">← Back to restaurants</a>
+      <div class="flex items-center gap-3">
+        <span data-compare-status class="text-sm text-gray-500" role="status"></span>
+        <button type="button" data-compare-share class="px-4 py-2 bg-primary-500 text-white rounded-md hover:bg-primary-600 transition-colors">
+          🔗 Copy link
+        </button>
+      </div>
+    </div>
+    <h1 class="text-2xl font-bold text-gray-800 mb-2">Compare restaurants</h1>
+    <p class="text-sm text-gray-500 mb-6">The best value in each row is highlighted in green.</p>
+    <div class="overflow-x-auto bg-white rounded-lg shadow-md">
+      <table class="w-full border-collapse">
+        <thead>
+          <tr>
+            <td class="p-4"></td>
+            ${compareIds.map((id, index) => renderCompareHeader(id, restaurants[index]))}
+          </tr>
+        </thead>
+        <tbody>
+          ${COMPARE_ROWS.map(row => renderCompareRow(row, restaurants))}
+        </tbody>
+      </table>
+    </div>
+  `;
+}
+
+async function copyCompareLink() {
+  const status = compareView.querySelector('[data-compare-status]');
+  try {
+    await navigator.clipboard.writeText(window.location.href);
+    status.textContent = 'Link copied';
+  } catch (error) {
+    // Clipboard access can be blocked; the address bar has the same link
+    status.textContent = 'Copy the link from the address bar';
+  }
+}
+
+compareView.addEventListener('click', (event) => {
+  const removeButton = event.target.closest('[data-compare-remove]');
+  if (removeButton) {
+    const ids = compareIds.filter(id => id !== removeButton.dataset.compareRemove);
+    navigate(ids.length > 0 ? getCompareUrl(ids) : getListPath(), { replace: true });
+    return;
+  }
+
+  if (event.target.closest('[data-compare-share]')) {
+    copyCompareLink();
+  }
+});
+
+compareOpenButton.addEventListener('click', () => navigate(getCompareUrl(compareSelection)));
+compareClearButton.addEventListener('click', clearCompare);
@@ -0,0 +1,186 @@
+// Insights Dashboard
+// Charts summarizing the restaurants that match the active filters: rating
+// distribution, delivery times, most common cuisines, how many have offers and
+// cost for two. Charts are plain SVG built with html`` (template.js), no libraries.
+//
+// getRestaurantStats() is pure; the render functions only turn its numbers into markup.
+
+const dashboardElement = document.getElementById("dashboard");
+const dashboardSummaryElement = document.getElementById("dashboard-summary");
+const dashboardChartsElement = document.getElementById("dashboard-charts");
+
+// Buckets are checked in order; the first one whose test passes gets the restaurant
+const RATING_BUCKETS = [
+  { label: 'New', test: rating => rating === null },
+  { label: '< 3.5', test: rating => rating < 3.5 },
+  { label: '3.5–3.9', test: rating => rating < 4.0 },
+  { label: '4.0–4.2', test: rating => rating < 4.3 },
+  { label: '4.3–4.5', test: rating => rating < 4.6 },
+  { label: '4.6+', test: () => true }
+];
+
+const DELIVERY_BUCKETS = [
+  { label: '< 20', test: minutes => minutes !== null && minutes < 20 },
+  { label: '20–29', test: minutes => minutes !== null && minutes < 30 },
+  { label: '30–39', test: minutes => minutes !== null && minutes < 40 },
+  { label: '40–49', test: minutes => minutes !== null && minutes < 50 },
+  { label: '50–59', test: minutes => minutes !== null && minutes < 60 },
+  { label: '60+', test: minutes => minutes !== null },
+  { label: '?', test: () => true }
+];
+
+const COST_BUCKETS = [
+  { label: '≤ ₹200', test: cost => cost !== null && cost <= 200 },
+  { label: '₹201–400', test: cost => cost !== null && cost <= 400 },
+  { label: '₹401–600', test: cost => cost !== null && cost <= 600 },
+  { label: '₹601–800', test: cost => cost !== null && cost <= 800 },
+  { label: '> ₹800', test: cost => cost !== null },
+  { label: '?', test: () => true }
+];
+
+const TOP_CUISINE_COUNT = 8;
+
+// [{ label, value }] with how many values fall in each bucket
+function countIntoBuckets(values, buckets) {
+  const counts = buckets.map(bucket => ({ label: bucket.label, value: 0 }));
+
+  values.forEach(value => {
+    const index = buckets.findIndex(bucket => bucket.test(value));
+    if (index !== -1) counts[index].value++;
+  });
+
+  return counts;
+}
+
+// "Unknown" buckets are only worth a bar when something is actually unknown
+function withoutEmptyUnknown(counts) {
+  return counts.filter(count => count.label !== '?' || count.value > 0);
+}
+
+function getRestaurantStats(restaurants) {
+  const withOffers = restaurants.filter(restaurant => restaurant.hasOffers).length;
+  const ratings = restaurants.map(restaurant => restaurant.info.avgRating).filter(rating => rating !== null);
+
+  return {
+    total: restaurants.length,
+    averageRating: ratings.length ? ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length : null,
+    ratings: countIntoBuckets(restaurants.map(restaurant => restaurant.info.avgRating), RATING_BUCKETS),
+    deliveryTimes: withoutEmptyUnknown(countIntoBuckets(restaurants.map(restaurant => restaurant.deliveryMinutes), DELIVERY_BUCKETS)),
+    costs: withoutEmptyUnknown(countIntoBuckets(restaurants.map(restaurant => restaurant.costForTwoAmount), COST_BUCKETS)),
+    cuisines: getCuisineOptions(restaurants).slice(0, TOP_CUISINE_COUNT).map(({ name, count }) => ({ label: name, value: count })),
+    offers: { withOffers, withoutOffers: restaurants.length - withOffers }
+  };
+}
+
+// Vertical bars, one per bucket
+function renderColumnChart(bars, { title, unit = 'restaurants' }) {
+  const width = 320;
+  const height = 180;
+  const chartTop = 16;
+  const chartBottom = height - 28;
+  const max = Math.max(1, ...bars.map(bar => bar.value));
+  const slot = width / bars.length;
+  const barWidth = Math.min(40, slot * 0.7);
+  const summary = bars.map(bar => `${bar.label}: ${bar.value}`).join(', ');
+
+  return html`
+    <svg viewBox="0 0 ${width} ${height}" class="w-full h-auto" role="img" aria-label="${title}. ${summary}">
+      <line x1="0" y1="${chartBottom}" x2="${width}" y2="${chartBottom}" class="stroke-gray-300" />
+      ${bars.map((bar, index) => {
+        const barHeight = (bar.value / max) * (chartBottom - chartTop);
+        const x = index * slot + (slot - barWidth) / 2;
+        const y = chartBottom - barHeight;
+        return html`
+          <g>
+            <title>${bar.label}: ${bar.value} ${unit}</title>
+            <rect x="${x}" y="${y}" width="${barWidth}" height="${barHeight}" rx="3" class="fill-primary-500" />
+            <text x="${x + barWidth / 2}" y="${y - 4}" text-anchor="middle" class="fill-gray-700 text-[10px]">${bar.value || ''}</text>
+            <text x="${index * slot + slot / 2}" y="${height - 10}" text-anchor="middle" class="fill-gray-500 text-[10px]">${bar.label}</text>
+          </g>
+        `;
+      })}
+    </svg>
+  `;
+}
+
+// Horizontal bars with the label on the left, for longer labels like cuisines
+function renderBarChart(bars, { title }) {
+  const width = 320;
+  const rowHeight = 22;
+  const labelWidth = 110;
+  const height = Math.max(rowHeight, bars.length * rowHeight);
+  const max = Math.max(1, ...bars.map(bar => bar.value));
+  const summary = bars.map(bar => `${bar.label}: ${bar.value}`).join(', ');
+
+  if (bars.length === 0) {
+    return html`<p class="text-sm text-gray-500">No cuisines to show</p>`;
+  }
+
+  return html`
+    <svg viewBox="0 0 ${width} ${height}" class="w-full h-auto" role="img" aria-label="${title}. ${summary}">
+      ${bars.map((bar, index) => {
+        const y = index * rowHeight;
+        const barWidth = (bar.value / max) * (width - labelWidth - 30);
+        return html`
+          <g>
+            <title>${bar.label}: ${bar.value} restaurants</title>
+            <text x="${labelWidth - 6}" y="${y + 15}" text-anchor="end" class="fill-gray-600 text-[11px]">${bar.label}</text>
+            <rect x="${labelWidth}" y="${y + 4}" width="${barWidth}" height="${rowHeight - 8}" rx="3" class="fill-primary-400" />
+            <text x="${labelWidth + barWidth + 4}" y="${y + 15}" class="fill-gray-700 text-[11px]">${bar.value}</text>
+          </g>
+        `;
+      })}
+    </svg>
+  `;
+}
+
+// Donut showing the share of restaurants with offers
+function renderOffersChart({ withOffers, withoutOffers }) {
+  const total = withOffers + withoutOffers;
+  const share = total ? withOffers / total : 0;
+  const radius = 60;
+  const circumference = 2 * Math.PI * radius;
+  const percent = Math.round(share * 100);
+
+  return html`
+    <svg viewBox="0 0 180 160" class="w-full h-auto max-h-48" role="img"
+         aria-label="${percent}% of restaurants have offers (${withOffers} of ${total})">
+      <circle cx="90" cy="80" r="${radius}" fill="none" stroke-width="22" class="stroke-gray-200" />
+      <circle cx="90" cy="80" r="${radius}" fill="none" stroke-width="22" class="stroke-primary-500"
+              stroke-dasharray="${share * circumference} ${circumference}" transform="rotate(-90 90 80)" />
+      <text x="90" y="80" text-anchor="middle" class="fill-gray-800 text-2xl font-bold">${percent}%</text>
+      <text x="90" y="100" text-anchor="middle" class="fill-gray-500 text-[11px]">${withOffers} of ${total}</text>
+    </svg>
+  `;
+}
+
+function renderChartCard(title, chart) {
+  return html`
+    <figure class="bg-white rounded-lg shadow-md p-4">
+      <figcaption class="font-semibold text-gray-800 mb-3">${title}</figcaption>
+      ${chart}
+    </figure>
+  `;
+}
+
+// Redraw the dashboard for the restaurants currently matching the filters
+function renderDashboard(restaurants) {
+  const stats = getRestaurantStats(restaurants);
+
+  dashboardSummaryElement.textContent = stats.total === 0
+    ? 'No restaurants match the current filters.'
+    : `Based on ${stats.total} of ${allRestaurants.length} loaded restaurants` +
+      (stats.averageRating !== null ? ` · average rating ${stats.averageRating.toFixed(1)} ⭐` : '');
+
+  dashboardChartsElement.innerHTML = stats.total === 0 ? '' : html`
+    ${renderChartCard('Rating distribution', renderColumnChart(stats.ratings, { title: 'Rating distribution' }))}
+    ${renderChartCard('Delivery time (minutes)', renderColumnChart(stats.deliveryTimes, { title: 'Delivery time in minutes' }))}
+    ${renderChartCard('Most common cuisines', renderBarChart(stats.cuisines, { title: 'Most common cuisines' }))}
+    ${renderChartCard('Restaurants with offers', renderOffersChart(stats.offers))}
+    ${renderChartCard('Cost for two', renderColumnChart(stats.costs, { title: 'Cost for two' }))}
+  `;
+}
+
+function isDashboardVisible() {
+  return !dashboardElement.classList.contains('hidden');
+}
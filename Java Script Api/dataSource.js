@@ -0,0 +1,195 @@
+// Data Source Layer
+// Decides where restaurant data comes from, so fetchRestaurants() never has to know.
+//
+//   live     - the real Swiggy API (needs internet access)
+//   recorded - the local stand-in server in server/fixture-server.js, which replays
+//              recorded Swiggy responses (run: node server/fixture-server.js)
+//   fixture  - the Swiggy-shaped JSON files bundled in fixtures/, fetched directly
+//
+// Pick a source with ?source=recorded in the page URL or with the "Data source"
+// dropdown. The choice is remembered in localStorage, so the script never needs editing.
+
+const DATA_SOURCE_STORAGE_KEY = 'foodapp:data-source';
+const DEFAULT_DATA_SOURCE = 'live';
+
+// The fixture server's address can be overridden with ?server=http://host:port
+const DEFAULT_LOCAL_SERVER_URL = 'http://localhost:4000';
+
+// Delivery location (Mumbra, Thane) used until the user picks another one (see location.js)
+const DEFAULT_LOCATION = { lat: 19.1672129, lng: 73.0235553 };
+
+const SWIGGY_API_ORIGIN = "https://www.swiggy.com";
+const LIST_PATH = "/dapi/restaurants/list/v5";
+const UPDATE_PATH = "/dapi/restaurants/list/update";
+const MENU_PATH = "/dapi/menu/pl";
+
+// Restaurant images: a cloudinaryImageId is a path under this URL (see buildImageUrl in template.js)
+const BASE_URL = "https://media-assets.swiggy.com/swiggy/image/upload/fl_lossy,f_auto,q_auto,w_660/";
+// Same images, tiny and low quality: shown blurred while the full image loads (see images.js)
+const PLACEHOLDER_IMAGE_URL = "https://media-assets.swiggy.com/swiggy/image/upload/fl_lossy,f_auto,q_10,w_32/";
+
+// Widget whose offset counts how many grid restaurants have been sent so far
+const LISTING_WIDGET = 'collectionV5RestaurantListWidget_SimRestoRelevance_food_seo';
+
+const dataSources = {
+  live: {
+    label: 'Live API',
+    listUrl: (location) => `${SWIGGY_API_ORIGIN}${LIST_PATH}?${listQuery(location)}`,
+    loadPage: (location, pageOffset) => postUpdate(`${SWIGGY_API_ORIGIN}${UPDATE_PATH}`, location, pageOffset),
+    menuUrl: (location, restaurantId) => `${SWIGGY_API_ORIGIN}${MENU_PATH}?${menuQuery(location, restaurantId)}`
+  },
+  recorded: {
+    label: 'Recorded (local server)',
+    listUrl: (location) => `${getLocalServerUrl()}${LIST_PATH}?${listQuery(location)}`,
+    loadPage: (location, pageOffset) => postUpdate(`${getLocalServerUrl()}${UPDATE_PATH}`, location, pageOffset),
+    menuUrl: (location, restaurantId) => `${getLocalServerUrl()}${MENU_PATH}?${menuQuery(location, restaurantId)}`
+  },
+  fixture: {
+    label: 'Offline fixtures',
+    listUrl: () => 'fixtures/list-v5.json',
+    // Static files can't answer a POST, so each page is stored under its offset
+    loadPage: (location, pageOffset) => requestJson(`fixtures/update-${getPageKey(pageOffset)}.json`),
+    menuUrl: (location, restaurantId) => `fixtures/menu-${encodeURIComponent(restaurantId)}.json`
+  }
+};
+
+// Query string Swiggy expects for the desktop listing
+function listQuery({ lat, lng }) {
+  return `lat=${lat}&lng=${lng}&is-seo-homepage-enabled=true&page_type=DESKTOP_WEB_LISTING`;
+}
+
+function menuQuery({ lat, lng }, restaurantId) {
+  return `page-type=REGULAR_MENU&complete-menu=true&lat=${lat}&lng=${lng}&restaurantId=${encodeURIComponent(restaurantId)}`;
+}
+
+// Swiggy's "update" endpoint returns the next page for the offsets of the previous one
+function postUpdate(url, { lat, lng }, pageOffset) {
+  return requestJson(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      lat,
+      lng,
+      nextOffset: pageOffset.nextOffset,
+      widgetOffset: pageOffset.widgetOffset,
+      filters: {},
+      seoParams: { pageType: 'FOOD_HOMEPAGE', apiName: 'FoodHomePage' },
+      page_type: 'DESKTOP_WEB_LISTING'
+    })
+  });
+}
+
+// Short, file-name friendly id for a page, e.g. "12" for the page after 12 restaurants
+function getPageKey(pageOffset) {
+  return pageOffset.widgetOffset?.[LISTING_WIDGET] || pageOffset.nextOffset;
+}
+
+// A listing has more pages while Swiggy keeps handing out a nextOffset
+function hasNextPage(pageOffset) {
+  return Boolean(pageOffset && pageOffset.nextOffset);
+}
+
+function getLocalServerUrl() {
+  const params = new URLSearchParams(window.location.search);
+  return (params.get('server') || DEFAULT_LOCAL_SERVER_URL).replace(/\/$/, '');
+}
+
+// Resolve the active source: URL parameter first, then the saved choice, then the default
+function getDataSourceName() {
+  const params = new URLSearchParams(window.location.search);
+  const fromUrl = params.get('source');
+
+  if (fromUrl && dataSources[fromUrl]) {
+    localStorage.setItem(DATA_SOURCE_STORAGE_KEY, fromUrl);
+    return fromUrl;
+  }
+
+  const saved = localStorage.getItem(DATA_SOURCE_STORAGE_KEY);
+  return dataSources[saved] ? saved : DEFAULT_DATA_SOURCE;
+}
+
+function setDataSourceName(name) {
+  if (!dataSources[name]) {
+    throw new Error(`Unknown data source: ${name}`);
+  }
+
+  localStorage.setItem(DATA_SOURCE_STORAGE_KEY, name);
+
+  // Keep the URL in sync so a ?source= parameter doesn't override the new choice on reload
+  const url = new URL(window.location.href);
+  if (url.searchParams.has('source')) {
+    url.searchParams.set('source', name);
+    history.replaceState(history.state, '', url);
+  }
+}
+
+function getDataSource() {
+  const name = getDataSourceName();
+  return { name, ...dataSources[name] };
+}
+
+// Fetch a URL and parse the body as JSON, failing on non-2xx responses
+async function requestJson(url, options) {
+  const response = await fetch(url, options);
+
+  if (!response.ok) {
+    const error = new Error(`HTTP error! Status: ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return response.json();
+}
+
+// Network failures, rate limiting and server errors are worth another try;
+// a 404 or a payload we can't parse will fail the same way again
+function isRetryableError(error) {
+  if (error instanceof PayloadError) return false;
+  if (!error.status) return true;
+  return error.status === 408 || error.status === 429 || error.status >= 500;
+}
+
+// Exponential backoff with "full jitter": wait a random time up to
+// baseDelay × 2^attempt (capped at maxDelay), so many clients don't retry in lockstep
+function getRetryDelay(attempt, { baseDelay = 1000, maxDelay = 15000 } = {}) {
+  return Math.random() * Math.min(maxDelay, baseDelay * 2 ** attempt);
+}
+
+// Run task() until it succeeds, retrying retryable errors up to `retries` times.
+// onRetry(attempt, delay, error) is called before each wait, e.g. to show a countdown.
+// Returning false from shouldContinue() (e.g. the request is outdated) stops retrying.
+async function retryWithBackoff(task, { retries = 3, onRetry, shouldContinue = () => true, ...delayOptions } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await task();
+    } catch (error) {
+      if (attempt >= retries || !isRetryableError(error) || !shouldContinue()) {
+        throw error;
+      }
+
+      const delay = getRetryDelay(attempt, delayOptions);
+      if (onRetry) onRetry(attempt + 1, delay, error);
+      await new Promise(resolve => setTimeout(resolve, delay));
+
+      if (!shouldContinue()) throw error;
+    }
+  }
+}
+
+// Load the raw restaurant listing from the active data source
+function loadRestaurantList(location = DEFAULT_LOCATION) {
+  const source = getDataSource();
+  return requestJson(source.listUrl(location));
+}
+
+// Load the page that follows pageOffset (the data.pageOffset of the previous response)
+function loadRestaurantPage(pageOffset, location = DEFAULT_LOCATION) {
+  const source = getDataSource();
+  return source.loadPage(location, pageOffset);
+}
+
+// Load the raw menu of one restaurant
+function loadRestaurantMenu(restaurantId, location = DEFAULT_LOCATION) {
+  const source = getDataSource();
+  return requestJson(source.menuUrl(location, restaurantId));
+}
@@ -0,0 +1,235 @@
+// Restaurant Detail View
+// Shown for "#/restaurant/:id": restaurant header plus its menu, grouped by category.
+// The grid stays in the DOM (just hidden), so filters, search and loaded pages are
+// untouched when the user comes back; only the scroll position needs restoring.
+
+const listView = document.getElementById("list-view");
+const detailView = document.getElementById("detail-view");
+const detailHeaderElement = document.getElementById("detail-header");
+const menuLoadingElement = document.getElementById("menu-loading");
+const menuErrorElement = document.getElementById("menu-error");
+const menuErrorMessageElement = document.getElementById("menu-error-message");
+const menuRetryButton = document.getElementById("menu-retry-button");
+const menuContainer = document.getElementById("menu-container");
+const backToListButton = document.getElementById("back-to-list");
+
+const MENU_IMAGE_URL = "https://media-assets.swiggy.com/swiggy/image/upload/fl_lossy,f_auto,q_auto,w_300,h_300,c_fit/";
+const LIST_TITLE = document.title;
+
+let listScrollY = 0; // where the grid was scrolled to before opening a restaurant
+let hasShownList = false; // false until the grid has been shown once (e.g. opened on a restaurant link)
+let openedFromList = false; // whether the back button can just go back in history
+let currentRestaurantId = null;
+let currentRestaurant = null; // normalized restaurant whose menu is on screen
+let currentMenuItems = new Map(); // item id -> menu item, for the ADD buttons
+let menuRequestId = 0;
+
+// Show the grid again, restoring its scroll position
+function showListView() {
+  currentRestaurantId = null;
+  menuRequestId++;
+
+  hasShownList = true;
+  showView(listView);
+  document.title = LIST_TITLE;
+
+  window.scrollTo(0, listScrollY);
+}
+
+// Open a restaurant: render what we already know, then fetch its menu
+async function showRestaurantDetail(restaurantId) {
+  openedFromList = hasShownList && !listView.classList.contains('hidden');
+  if (openedFromList) {
+    listScrollY = window.scrollY;
+  }
+
+  currentRestaurantId = restaurantId;
+  currentMenuItems = new Map();
+  showView(detailView);
+  window.scrollTo(0, 0);
+
+  const knownRestaurant = allRestaurants.find(restaurant => restaurant.info.id === restaurantId);
+  currentRestaurant = knownRestaurant || null;
+  renderDetailHeader(knownRestaurant);
+  showNotesFor(restaurantId);
+  if (knownRestaurant) addRecentlyViewed(knownRestaurant);
+
+  const requestId = ++menuRequestId;
+  showMenuLoading();
+
+  try {
+    const data = await loadRestaurantMenu(restaurantId, getCurrentLocation());
+    if (requestId !== menuRequestId) return;
+
+    const menu = parseMenuPayload(data);
+    currentRestaurant = menu.restaurant || knownRestaurant || null;
+    renderDetailHeader(currentRestaurant);
+    // Opened from a link or the recently viewed strip: only now do we know what it is
+    if (!knownRestaurant && currentRestaurant) addRecentlyViewed(currentRestaurant);
+    renderMenu(menu.categories);
+    hideMenuLoading();
+  } catch (error) {
+    if (requestId !== menuRequestId) return;
+    console.error("Error fetching menu:", error);
+    showMenuError(error);
+  }
+}
+
+function renderDetailHeader(restaurant) {
+  if (!restaurant) {
+    detailHeaderElement.innerHTML = '';
+    document.title = LIST_TITLE;
+    return;
+  }
+
+  const { info } = restaurant;
+  const imageUrl = buildImageUrl(BASE_URL, info.cloudinaryImageId);
+  const favorite = isFavorite(info.id);
+  document.title = `${info.name} | ${LIST_TITLE}`;
+
+  detailHeaderElement.innerHTML = html`
+    <div class="flex flex-col sm:flex-row gap-6 bg-white rounded-lg shadow-md p-6">
+      ${imageUrl ? html`
+      <img src="${imageUrl}" alt="${info.name}"
+           class="w-full sm:w-48 h-36 object-cover rounded-md" />
+      ` : ''}
+      <div class="flex-1">
+        <div class="flex items-start justify-between gap-4">
+          <h1 class="text-2xl font-bold text-gray-800">${info.name}</h1>
+          <button type="button" data-favorite-toggle aria-pressed="${favorite}"
+                  class="shrink-0 px-3 py-1.5 rounded-full border text-sm font-medium ${favorite ? 'border-yellow-400 bg-yellow-50 text-yellow-700' : 'border-gray-300 text-gray-600 hover:bg-gray-50'}">
+            ${favorite ? '★ Favorite' : '☆ Add to favorites'}
+          </button>
+        </div>
+        <p class="text-gray-600 mt-1">${info.cuisines.join(", ")}</p>
+        <p class="text-gray-500 text-sm mt-1">${info.locality}</p>
+        <div class="flex flex-wrap items-center gap-4 mt-4 text-sm">
+          <span class="bg-green-600 text-white px-2 py-1 rounded">${info.avgRating ?? 'New'} ⭐</span>
+          <span class="text-gray-700">${info.sla.slaString}</span>
+          <span class="text-gray-700">${info.costForTwo}</span>
+        </div>
+        ${restaurant.hasOffers ? html`
+        <p class="mt-3 text-sm font-medium text-primary-600">🏷️ ${restaurant.offerText || 'Offers Available'}</p>
+        ` : ''}
+      </div>
+    </div>
+  `;
+}
+
+// Green square for veg, red for non-veg (the usual Indian food marking)
+function vegBadge(isVeg) {
+  const color = isVeg ? 'border-green-600' : 'border-red-600';
+  const dot = isVeg ? 'bg-green-600' : 'bg-red-600';
+  const label = isVeg ? 'Veg' : 'Non-veg';
+
+  return html`
+    <span class="inline-flex items-center justify-center w-4 h-4 border-2 ${color} rounded-sm" title="${label}" aria-label="${label}">
+      <span class="w-2 h-2 rounded-full ${dot}"></span>
+    </span>
+  `;
+}
+
+function formatPrice(price) {
+  return price === null ? '' : `₹${price.toLocaleString('en-IN', { maximumFractionDigits: 2 })}`;
+}
+
+function renderMenuItem(item) {
+  const imageUrl = buildImageUrl(MENU_IMAGE_URL, item.imageId);
+  
+  return html`
+    <li class="flex justify-between gap-4 py-4 border-b border-gray-100 last:border-0" data-item-id="${item.id}">
+      <div class="flex-1">
+        <div class="flex items-center gap-2">
+          ${vegBadge(item.isVeg)}
+          ${item.isBestseller ? html`<span class="text-xs font-semibold text-primary-600">★ Bestseller</span>` : ''}
+        </div>
+        <h4 class="font-semibold text-gray-800 mt-1">${item.name}</h4>
+        <p class="text-gray-700 text-sm">${formatPrice(item.price)}</p>
+        <p class="text-gray-500 text-sm mt-1">${item.description}</p>
+      </div>
+      <div class="flex flex-col items-center gap-2">
+        ${imageUrl ? html`
+        <img src="${imageUrl}" alt="${item.name}"
+             class="w-28 h-24 object-cover rounded-md" loading="lazy" />
+        ` : ''}
+        <div data-cart-controls="${item.id}">${renderCartControls(item)}</div>
+      </div>
+    </li>
+  `;
+}
+
+function renderMenu(categories) {
+  currentMenuItems = new Map();
+  categories.forEach(category => {
+    category.items.forEach(item => currentMenuItems.set(item.id, item));
+  });
+  
+  menuContainer.innerHTML = categories.map(category => html`
+    <details open class="bg-white rounded-lg shadow-sm mb-4">
+      <summary class="cursor-pointer px-6 py-4 text-lg font-bold text-gray-800">
+        ${category.title} (${category.items.length})
+      </summary>
+      <ul class="px-6 pb-2">
+        ${category.items.map(renderMenuItem)}
+      </ul>
+    </details>
+  `).join('');
+}
+
+// Menu UI state functions
+function showMenuLoading() {
+  menuLoadingElement.classList.remove('hidden');
+  menuErrorElement.classList.add('hidden');
+  menuContainer.classList.add('hidden');
+}
+
+function hideMenuLoading() {
+  menuLoadingElement.classList.add('hidden');
+  menuContainer.classList.remove('hidden');
+}
+
+function showMenuError(error) {
+  menuErrorMessageElement.textContent = error instanceof PayloadError
+    ? `The menu response wasn't recognized: ${error.message}`
+    : `We couldn't load this menu from the ${getDataSource().label.toLowerCase()}.`;
+
+  menuLoadingElement.classList.add('hidden');
+  menuErrorElement.classList.remove('hidden');
+  menuContainer.classList.add('hidden');
+}
+
+// Back goes through history when we came from the grid, so forward still works
+backToListButton.addEventListener('click', () => {
+  if (openedFromList) {
+    history.back();
+  } else {
+    navigate(getListPath());
+  }
+});
+
+// ADD / + / − buttons on menu items
+menuContainer.addEventListener('click', (event) => {
+  const button = event.target.closest('[data-cart-action]');
+  if (!button || !currentRestaurant) return;
+
+  const item = currentMenuItems.get(button.dataset.itemId);
+  if (!item) return;
+
+  if (button.dataset.cartAction === 'decrement') {
+    changeCartQuantity(item.id, -1);
+  } else {
+    addToCart(currentRestaurant, item);
+  }
+});
+
+detailHeaderElement.addEventListener('click', (event) => {
+  if (event.target.closest('[data-favorite-toggle]') && currentRestaurant) {
+    toggleFavorite(currentRestaurant);
+  }
+});
+
+menuRetryButton.addEventListener('click', () => {
+  if (currentRestaurantId) {
+    showRestaurantDetail(currentRestaurantId);
+  }
+});
@@ -0,0 +1,298 @@
+// Favorites, Recently Viewed and Notes
+// Restaurants the user starred, the ones they opened lately and private notes on
+// any restaurant. Everything stays in this browser's localStorage; "My data" in the
+// filter bar exports it to a JSON file and imports it again (e.g. on another device).
+//
+// Restaurants are stored as small snapshots, so they can be shown (and opened)
+// even when they aren't part of the listing currently loaded:
+//   { id, name, cloudinaryImageId, cuisines, locality }
+
+const recentlyViewedElement = document.getElementById("recently-viewed");
+const recentlyViewedListElement = document.getElementById("recently-viewed-list");
+const clearRecentlyViewedButton = document.getElementById("clear-recently-viewed");
+const exportDataButton = document.getElementById("export-data");
+const importFileInput = document.getElementById("import-file");
+const myDataStatusElement = document.getElementById("my-data-status");
+const notesInput = document.getElementById("notes-input");
+const notesStatusElement = document.getElementById("notes-status");
+
+const FAVORITES_STORAGE_KEY = 'foodapp:favorites';
+const RECENTLY_VIEWED_STORAGE_KEY = 'foodapp:recently-viewed';
+const NOTES_STORAGE_KEY = 'foodapp:notes';
+const RECENTLY_VIEWED_LIMIT = 10;
+const SAVED_DATA_VERSION = 1; // bump if the export file format changes
+
+let favorites = loadSnapshots(FAVORITES_STORAGE_KEY); // newest first
+let recentlyViewed = loadSnapshots(RECENTLY_VIEWED_STORAGE_KEY); // newest first
+let notes = loadNotes(); // restaurant id -> { text, updatedAt }
+let noteTimeoutId = null;
+
+function createSnapshot(restaurant) {
+  const { id, name, cloudinaryImageId, cuisines, locality } = restaurant.info;
+  return { id, name, cloudinaryImageId, cuisines: cuisines || [], locality: locality || '' };
+}
+
+function isValidSnapshot(entry) {
+  return Boolean(entry) && typeof entry.id === 'string' && entry.id !== '' && typeof entry.name === 'string';
+}
+
+// Saved and imported data can be hand-edited, so every field is brought back to
+// the shape createSnapshot() makes before anything renders it
+function normalizeSnapshot(entry) {
+  const { id, name, cloudinaryImageId, cuisines, locality } = entry;
+  return {
+    id,
+    name,
+    cloudinaryImageId: typeof cloudinaryImageId === 'string' ? cloudinaryImageId : '',
+    cuisines: Array.isArray(cuisines) ? cuisines.filter(cuisine => typeof cuisine === 'string') : [],
+    locality: typeof locality === 'string' ? locality : ''
+  };
+}
+
+// Only keep entries that look like snapshots, one per restaurant id
+function cleanSnapshots(entries) {
+  const seen = new Set();
+  return (Array.isArray(entries) ? entries : []).filter(entry => {
+    if (!isValidSnapshot(entry) || seen.has(entry.id)) return false;
+    seen.add(entry.id);
+    return true;
+  }).map(normalizeSnapshot);
+}
+
+// Notes are keyed by restaurant id straight from storage or an imported file, so
+// they live in an object without a prototype: a "__proto__" or "toString" id is
+// just another key
+function createNotes() {
+  return Object.create(null);
+}
+
+function cleanNotes(entries) {
+  const cleaned = createNotes();
+  if (!entries || typeof entries !== 'object' || Array.isArray(entries)) return cleaned;
+
+  Object.entries(entries).forEach(([id, note]) => {
+    if (note && typeof note.text === 'string' && note.text.trim()) {
+      cleaned[id] = { text: note.text, updatedAt: Number(note.updatedAt) || 0 };
+    }
+  });
+
+  return cleaned;
+}
+
+function loadSnapshots(key) {
+  try {
+    return cleanSnapshots(JSON.parse(localStorage.getItem(key)));
+  } catch (error) {
+    console.warn(`Ignoring unreadable ${key}:`, error);
+    return [];
+  }
+}
+
+function loadNotes() {
+  try {
+    return cleanNotes(JSON.parse(localStorage.getItem(NOTES_STORAGE_KEY)));
+  } catch (error) {
+    console.warn("Ignoring unreadable saved notes:", error);
+    return createNotes();
+  }
+}
+
+function saveSavedData() {
+  localStorage.setItem(FAVORITES_STORAGE_KEY, JSON.stringify(favorites));
+  localStorage.setItem(RECENTLY_VIEWED_STORAGE_KEY, JSON.stringify(recentlyViewed));
+  localStorage.setItem(NOTES_STORAGE_KEY, JSON.stringify(notes));
+}
+
+// Favorites
+function getFavoriteIds() {
+  return new Set(favorites.map(entry => entry.id));
+}
+
+function isFavorite(restaurantId) {
+  return favorites.some(entry => entry.id === restaurantId);
+}
+
+function toggleFavorite(restaurant) {
+  const { id } = restaurant.info;
+  favorites = isFavorite(id)
+    ? favorites.filter(entry => entry.id !== id)
+    : [createSnapshot(restaurant), ...favorites];
+
+  localStorage.setItem(FAVORITES_STORAGE_KEY, JSON.stringify(favorites));
+  updateSavedDataUI();
+}
+
+// Recently viewed
+function addRecentlyViewed(restaurant) {
+  const snapshot = createSnapshot(restaurant);
+  recentlyViewed = [snapshot, ...recentlyViewed.filter(entry => entry.id !== snapshot.id)]
+    .slice(0, RECENTLY_VIEWED_LIMIT);
+
+  localStorage.setItem(RECENTLY_VIEWED_STORAGE_KEY, JSON.stringify(recentlyViewed));
+  renderRecentlyViewed();
+}
+
+function clearRecentlyViewed() {
+  recentlyViewed = [];
+  localStorage.removeItem(RECENTLY_VIEWED_STORAGE_KEY);
+  renderRecentlyViewed();
+}
+
+// Notes
+function getNote(restaurantId) {
+  return notes[restaurantId] ? notes[restaurantId].text : '';
+}
+
+function setNote(restaurantId, text) {
+  if (text.trim()) {
+    notes[restaurantId] = { text, updatedAt: Date.now() };
+  } else {
+    delete notes[restaurantId];
+  }
+
+  localStorage.setItem(NOTES_STORAGE_KEY, JSON.stringify(notes));
+}
+
+// Export / import
+function exportSavedData() {
+  return {
+    app: 'foodapp',
+    version: SAVED_DATA_VERSION,
+    exportedAt: new Date().toISOString(),
+    favorites,
+    recentlyViewed,
+    notes
+  };
+}
+
+// Merge an exported file into what's already saved. Imported entries win when both
+// have the same restaurant. Throws if the file isn't one of our exports.
+function importSavedData(data) {
+  if (!data || data.app !== 'foodapp' || typeof data.version !== 'number') {
+    throw new Error("This file isn't a food app export.");
+  }
+  if (data.version > SAVED_DATA_VERSION) {
+    throw new Error('This file was exported by a newer version of the app.');
+  }
+
+  const importedFavorites = cleanSnapshots(data.favorites);
+  const importedRecent = cleanSnapshots(data.recentlyViewed);
+  const importedNotes = cleanNotes(data.notes);
+
+  favorites = cleanSnapshots([...importedFavorites, ...favorites]);
+  recentlyViewed = cleanSnapshots([...importedRecent, ...recentlyViewed]).slice(0, RECENTLY_VIEWED_LIMIT);
+  notes = Object.assign(createNotes(), notes, importedNotes);
+
+  saveSavedData();
+  updateSavedDataUI();
+  if (currentRestaurantId) showNotesFor(currentRestaurantId);
+
+  return {
+    favorites: importedFavorites.length,
+    recentlyViewed: importedRecent.length,
+    notes: Object.keys(importedNotes).length
+  };
+}
+
+function downloadSavedData() {
+  const blob = new Blob([JSON.stringify(exportSavedData(), null, 2)], { type: 'application/json' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = `foodapp-data-${new Date().toISOString().slice(0, 10)}.json`;
+  link.click();
+  URL.revokeObjectURL(link.href);
+  setMyDataStatus('Exported your favorites, recently viewed and notes.');
+}
+
+async function importSavedDataFile(file) {
+  try {
+    const counts = importSavedData(JSON.parse(await file.text()));
+    setMyDataStatus(`Imported ${counts.favorites} favorites, ${counts.recentlyViewed} recently viewed and ${counts.notes} notes.`);
+  } catch (error) {
+    console.error("Error importing saved data:", error);
+    const message = error instanceof SyntaxError ? "This file isn't valid JSON." : error.message;
+    setMyDataStatus(`Import failed: ${message}`, true);
+  }
+}
+
+function setMyDataStatus(message, isError = false) {
+  myDataStatusElement.textContent = message;
+  myDataStatusElement.classList.toggle('text-red-600', isError);
+  myDataStatusElement.classList.toggle('text-gray-600', !isError);
+}
+
+// UI
+function renderRecentlyViewed() {
+  recentlyViewedElement.classList.toggle('hidden', recentlyViewed.length === 0);
+
+  recentlyViewedListElement.innerHTML = recentlyViewed.map(entry => {
+    const imageUrl = buildImageUrl(BASE_URL, entry.cloudinaryImageId);
+    return html`
+      <li class="shrink-0 w-40">
+        <a href="#/restaurant/${encodeURIComponent(entry.id)}" class="block bg-white rounded-lg shadow-sm hover:shadow-md overflow-hidden transition-shadow">
+          ${imageUrl ? html`<img src="${imageUrl}" alt="" class="w-full h-20 object-cover" loading="lazy" />`
+            : html`<div class="w-full h-20 bg-gray-100 flex items-center justify-center text-2xl">🍽️</div>`}
+          <div class="p-2">
+            <p class="text-sm font-semibold text-gray-800 truncate">${entry.name}</p>
+            <p class="text-xs text-gray-500 truncate">${entry.cuisines.join(', ')}</p>
+          </div>
+        </a>
+      </li>
+    `;
+  }).join('');
+}
+
+// Redraw everything that shows saved data: stars on cards, the favorites filter,
+// the recently viewed strip and the open restaurant's header
+function updateSavedDataUI() {
+  applyActiveFilter();
+  renderRecentlyViewed();
+  if (currentRestaurantId) {
+    const starHadFocus = detailHeaderElement.contains(document.activeElement);
+    renderDetailHeader(currentRestaurant);
+    if (starHadFocus) detailHeaderElement.querySelector('[data-favorite-toggle]')?.focus();
+  }
+}
+
+// Fill the notes box for the restaurant being opened
+function showNotesFor(restaurantId) {
+  notesInput.value = getNote(restaurantId);
+  notesStatusElement.textContent = '';
+}
+
+// Save notes shortly after typing stops. The id and text are captured now, so
+// switching restaurants before the timeout fires still saves to the right one.
+notesInput.addEventListener('input', () => {
+  const restaurantId = currentRestaurantId;
+  const text = notesInput.value;
+  notesStatusElement.textContent = '';
+
+  clearTimeout(noteTimeoutId);
+  noteTimeoutId = setTimeout(() => {
+    setNote(restaurantId, text);
+    applyActiveFilter(); // the 📝 marker on the card
+    if (restaurantId === currentRestaurantId) {
+      notesStatusElement.textContent = 'Saved';
+    }
+  }, 400);
+});
+
+clearRecentlyViewedButton.addEventListener('click', clearRecentlyViewed);
+exportDataButton.addEventListener('click', downloadSavedData);
+
+importFileInput.addEventListener('change', () => {
+  const [file] = importFileInput.files;
+  if (file) importSavedDataFile(file);
+  importFileInput.value = '';
+});
+
+// Keep several open tabs in sync
+window.addEventListener('storage', (event) => {
+  if (event.key === FAVORITES_STORAGE_KEY || event.key === RECENTLY_VIEWED_STORAGE_KEY || event.key === NOTES_STORAGE_KEY) {
+    favorites = loadSnapshots(FAVORITES_STORAGE_KEY);
+    recentlyViewed = loadSnapshots(RECENTLY_VIEWED_STORAGE_KEY);
+    notes = loadNotes();
+    updateSavedDataUI();
+    if (currentRestaurantId && document.activeElement !== notesInput) showNotesFor(currentRestaurantId);
+  }
+});
@@ -0,0 +1,166 @@
+// Filters and Sorting
+// Pure functions that turn (restaurants, filter state) into the list to show.
+// They never touch the DOM, so the same code works on the first page or on
+// everything loaded so far.
+//
+// Filter state shape:
+//   {
+//     toggles:  ['rating', 'offers'],   // quick filters, all must match (AND)
+//     cuisines: ['Pizzas', 'Biryani'],  // match any of these (OR); empty = any cuisine
+//     minCost:  200,                    // cost for two range in rupees; null = no limit
+//     maxCost:  500,
+//     sort:     'rating',               // key of SORT_OPTIONS
+//     query:    'pizza'                 // search text, matched by search.js
+//   }
+//
+// Some filters depend on what the user saved rather than on the restaurant itself.
+// That is passed in as a context object: { favoriteIds: Set of restaurant ids }.
+
+// Quick on/off filters. Keys match the filter-<key> button ids.
+const QUICK_FILTERS = {
+  favorites: {
+    label: 'Favorites',
+    test: (restaurant, { favoriteIds = new Set() }) => favoriteIds.has(restaurant.info.id)
+  },
+  rating: {
+    label: 'Rating 4.0+',
+    test: restaurant => restaurant.info.avgRating >= 4.0
+  },
+  fast: {
+    label: 'Delivery < 30 min',
+    test: restaurant => restaurant.deliveryMinutes !== null && restaurant.deliveryMinutes < 30
+  },
+  offers: {
+    label: 'Offers',
+    test: restaurant => restaurant.hasOffers
+  },
+  veg: {
+    label: 'Pure Veg',
+    test: restaurant => restaurant.info.veg
+  }
+};
+
+// Sort orders. Restaurants missing the value always go last.
+const SORT_OPTIONS = {
+  relevance: { label: 'Relevance', compare: null },
+  rating: {
+    label: 'Rating: high to low',
+    compare: (a, b) => compareValues(b.info.avgRating, a.info.avgRating)
+  },
+  delivery: {
+    label: 'Delivery time',
+    compare: (a, b) => compareValues(a.deliveryMinutes, b.deliveryMinutes)
+  },
+  'cost-low': {
+    label: 'Cost: low to high',
+    compare: (a, b) => compareValues(a.costForTwoAmount, b.costForTwoAmount)
+  },
+  'cost-high': {
+    label: 'Cost: high to low',
+    compare: (a, b) => compareValues(b.costForTwoAmount, a.costForTwoAmount)
+  }
+};
+
+function compareValues(a, b) {
+  if (a === null && b === null) return 0;
+  if (a === null) return 1;
+  if (b === null) return -1;
+  return a - b;
+}
+
+function createFilterState() {
+  return { toggles: [], cuisines: [], minCost: null, maxCost: null, sort: 'relevance', query: '' };
+}
+
+// True when no filter narrows the list (sorting doesn't count)
+function isUnfiltered(state) {
+  return state.toggles.length === 0 && state.cuisines.length === 0 &&
+    state.minCost === null && state.maxCost === null && !state.query.trim();
+}
+
+function matchesFilters(restaurant, state, context = {}) {
+  if (!state.toggles.every(key => QUICK_FILTERS[key] && QUICK_FILTERS[key].test(restaurant, context))) {
+    return false;
+  }
+
+  if (state.cuisines.length > 0 &&
+      !restaurant.info.cuisines.some(cuisine => state.cuisines.includes(cuisine))) {
+    return false;
+  }
+
+  const cost = restaurant.costForTwoAmount;
+  if (state.minCost !== null && (cost === null || cost < state.minCost)) return false;
+  if (state.maxCost !== null && (cost === null || cost > state.maxCost)) return false;
+
+  return true;
+}
+
+// Filter then sort; never mutates the input array
+function applyFilters(restaurants, state, context = {}) {
+  const filtered = restaurants.filter(restaurant => matchesFilters(restaurant, state, context));
+  const sortOption = SORT_OPTIONS[state.sort] || SORT_OPTIONS.relevance;
+
+  // Array.prototype.sort is stable, so ties keep Swiggy's relevance order
+  return sortOption.compare ? filtered.sort(sortOption.compare) : filtered;
+}
+
+// Every cuisine in the list with how many restaurants serve it, most common first
+function getCuisineOptions(restaurants) {
+  const counts = new Map();
+
+  restaurants.forEach(restaurant => {
+    restaurant.info.cuisines.forEach(cuisine => {
+      counts.set(cuisine, (counts.get(cuisine) || 0) + 1);
+    });
+  });
+
+  return [...counts.entries()]
+    .map(([name, count]) => ({ name, count }))
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+}
+
+// One chip per active filter; `id` is what removeFilter() expects
+function getFilterChips(state) {
+  const chips = state.toggles.map(key => ({ id: `toggle:${key}`, label: QUICK_FILTERS[key].label }));
+
+  state.cuisines.forEach(cuisine => chips.push({ id: `cuisine:${cuisine}`, label: cuisine }));
+
+  if (state.minCost !== null || state.maxCost !== null) {
+    const label = state.maxCost === null ? `₹${state.minCost}+ for two`
+      : state.minCost === null ? `Up to ₹${state.maxCost} for two`
+      : `₹${state.minCost}–₹${state.maxCost} for two`;
+    chips.push({ id: 'cost', label });
+  }
+
+  if (state.query.trim()) {
+    chips.push({ id: 'query', label: `“${state.query.trim()}”` });
+  }
+
+  return chips;
+}
+
+// Return a new state without the filter a chip stands for
+function removeFilter(state, chipId) {
+  const [type, value] = chipId.split(/:(.*)/);
+
+  switch (type) {
+    case 'toggle':
+      return { ...state, toggles: state.toggles.filter(key => key !== value) };
+    case 'cuisine':
+      return { ...state, cuisines: state.cuisines.filter(cuisine => cuisine !== value) };
+    case 'cost':
+      return { ...state, minCost: null, maxCost: null };
+    case 'query':
+      return { ...state, query: '' };
+    default:
+      return state;
+  }
+}
+
+// Turn a quick filter on or off
+function toggleFilter(state, key) {
+  const toggles = state.toggles.includes(key)
+    ? state.toggles.filter(existing => existing !== key)
+    : [...state.toggles, key];
+  return { ...state, toggles };
+}
@@ -0,0 +1,105 @@
+// Images and Placeholders
+// Card-shaped skeletons for while the listing loads, restaurant images that load
+// progressively (a tiny blurred copy first, the full image fading in over it) and an
+// initials avatar for restaurants whose image is missing or fails to load.
+//
+// Images are plain markup; enableProgressiveImages() listens for their load and
+// error events on the container, so cards can be rendered as strings.
+
+const SKELETON_CARD_COUNT = 8;
+
+// Background colors for initials avatars; a name always gets the same one
+const AVATAR_COLORS = [
+  'bg-orange-500', 'bg-amber-500', 'bg-rose-500', 'bg-emerald-600',
+  'bg-teal-600', 'bg-sky-600', 'bg-indigo-500', 'bg-fuchsia-600'
+];
+
+// "Burger King" -> "BK", "McDonald's" -> "M", "  " -> "?"
+function getInitials(name) {
+  const words = String(name).split(/\s+/).map(word => word.replace(/[^\p{L}\p{N}]/gu, '')).filter(Boolean);
+  if (words.length === 0) return '?';
+  return words.slice(0, 2).map(word => [...word][0].toUpperCase()).join('');
+}
+
+function getAvatarColor(name) {
+  let hash = 0;
+  for (const char of String(name)) {
+    hash = (hash * 31 + char.codePointAt(0)) >>> 0;
+  }
+  return AVATAR_COLORS[hash % AVATAR_COLORS.length];
+}
+
+function renderInitialsAvatar(name, sizeClass) {
+  return html`
+    <div class="${sizeClass} ${getAvatarColor(name)} flex items-center justify-center text-5xl font-bold text-white/90" aria-hidden="true">
+      ${getInitials(name)}
+    </div>
+  `;
+}
+
+// Blurred low-res copy underneath, full image on top (faded in once loaded).
+// Falls back to the initials avatar when there's no usable image id.
+function renderProgressiveImage(imageId, name, sizeClass) {
+  const imageUrl = buildImageUrl(BASE_URL, imageId);
+  const placeholderUrl = buildImageUrl(PLACEHOLDER_IMAGE_URL, imageId);
+
+  if (!imageUrl) return renderInitialsAvatar(name, sizeClass);
+
+  return html`
+    <div data-progressive-image data-name="${name}" class="${sizeClass} relative overflow-hidden bg-gray-200">
+      ${placeholderUrl ? html`
+      <img src="${placeholderUrl}" alt="" aria-hidden="true" data-image-placeholder
+           class="absolute inset-0 w-full h-full object-cover blur-md scale-110" />
+      ` : ''}
+      <img src="${imageUrl}" alt="" loading="lazy" data-full-image
+           class="relative w-full h-full object-cover opacity-0 transition-opacity duration-500" />
+    </div>
+  `;
+}
+
+// Grey blocks in the shape of a restaurant card
+function renderSkeletonCard() {
+  return html`
+    <div class="bg-white rounded-lg overflow-hidden shadow-md animate-pulse" aria-hidden="true">
+      <div class="w-full h-48 bg-gray-200"></div>
+      <div class="p-4 space-y-3">
+        <div class="h-5 w-3/4 rounded bg-gray-200"></div>
+        <div class="h-4 w-1/2 rounded bg-gray-200"></div>
+        <div class="flex justify-between">
+          <div class="h-4 w-1/4 rounded bg-gray-200"></div>
+          <div class="h-4 w-1/3 rounded bg-gray-200"></div>
+        </div>
+      </div>
+      <div class="px-4 py-3 border-t border-gray-100">
+        <div class="h-4 w-1/3 mx-auto rounded bg-gray-200"></div>
+      </div>
+    </div>
+  `;
+}
+
+function renderSkeletonCards(container, count = SKELETON_CARD_COUNT) {
+  container.innerHTML = Array.from({ length: count }, renderSkeletonCard).join('');
+}
+
+// load and error don't bubble, so they are caught on the way down (capture)
+function enableProgressiveImages(container) {
+  container.addEventListener('load', (event) => {
+    if (!event.target.matches('[data-full-image]')) return;
+
+    event.target.classList.replace('opacity-0', 'opacity-100');
+    // Hidden rather than removed, so patchList's element paths stay the same
+    event.target.parentElement.querySelector('[data-image-placeholder]')?.classList.add('invisible');
+  }, true);
+
+  container.addEventListener('error', (event) => {
+    const wrapper = event.target.closest('[data-progressive-image]');
+    if (!wrapper || !event.target.matches('[data-full-image]')) {
+      // A placeholder that fails is simply not shown
+      if (event.target.matches('[data-image-placeholder]')) event.target.classList.add('invisible');
+      return;
+    }
+
+    const avatar = createElementFromHtml(renderInitialsAvatar(wrapper.dataset.name, 'w-full h-full'));
+    wrapper.replaceChildren(avatar);
+  }, true);
+}
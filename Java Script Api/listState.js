@@ -0,0 +1,76 @@
+// List State in the URL
+// The grid's filters, sort order, search text, delivery location and number of loaded
+// pages are mirrored into the query of the list route, e.g.
+//
+//   #/?filter=rating&filter=offers&cuisine=Pizzas&min=200&max=500&sort=rating&q=pizza&loc=19.1672,73.0236&page=3
+//
+// so a view can be bookmarked or shared, and back/forward step through filter changes.
+// Values left at their defaults are omitted. These functions are pure; script.js
+// decides when the URL is read and written.
+
+const MAX_RESTORED_PAGES = 10; // a shared link never makes us load more pages than this
+
+// 4 decimals is ~10m, plenty for a delivery address
+function formatLocationParam({ lat, lng }) {
+  return `${Number(lat.toFixed(4))},${Number(lng.toFixed(4))}`;
+}
+
+function isSameLocation(a, b) {
+  return formatLocationParam(a) === formatLocationParam(b);
+}
+
+// { filter, location, pageCount } -> "filter=rating&sort=rating&loc=..." ('' when all defaults)
+function serializeListState({ filter, location = null, pageCount = 1 }) {
+  const params = new URLSearchParams();
+
+  filter.toggles.forEach(toggle => params.append('filter', toggle));
+  filter.cuisines.forEach(cuisine => params.append('cuisine', cuisine));
+  if (filter.minCost !== null) params.set('min', filter.minCost);
+  if (filter.maxCost !== null) params.set('max', filter.maxCost);
+  if (filter.sort !== 'relevance') params.set('sort', filter.sort);
+  if (filter.query.trim()) params.set('q', filter.query);
+  if (location) params.set('loc', formatLocationParam(location));
+  if (pageCount > 1) params.set('page', pageCount);
+
+  return params.toString();
+}
+
+function parseCostParam(value) {
+  if (value === null || value.trim() === '') return null;
+  const cost = Number(value);
+  return Number.isFinite(cost) ? Math.max(0, cost) : null;
+}
+
+// Location from "lat,lng", or null if missing or out of range
+function parseLocationParam(value) {
+  const [lat, lng] = String(value ?? '').split(',').map(part => part.trim() === '' ? NaN : Number(part));
+  return isValidCoordinates(lat, lng) ? { lat, lng } : null;
+}
+
+// URLSearchParams -> { filter, location, pageCount }. Anything unknown or malformed
+// (a sort order we don't have, a negative page, ...) falls back to the default.
+function parseListState(params) {
+  const filter = createFilterState();
+
+  filter.toggles = [...new Set(params.getAll('filter'))].filter(key => Object.hasOwn(QUICK_FILTERS, key));
+  filter.cuisines = [...new Set(params.getAll('cuisine'))].filter(Boolean);
+  filter.minCost = parseCostParam(params.get('min'));
+  filter.maxCost = parseCostParam(params.get('max'));
+  if (filter.minCost !== null && filter.maxCost !== null && filter.minCost > filter.maxCost) {
+    [filter.minCost, filter.maxCost] = [filter.maxCost, filter.minCost];
+  }
+  filter.sort = Object.hasOwn(SORT_OPTIONS, params.get('sort')) ? params.get('sort') : 'relevance';
+  filter.query = params.get('q') || '';
+
+  const page = Number.parseInt(params.get('page'), 10);
+
+  return {
+    filter,
+    location: parseLocationParam(params.get('loc')),
+    pageCount: Number.isInteger(page) ? Math.min(Math.max(page, 1), MAX_RESTORED_PAGES) : 1
+  };
+}
+
+function isSameFilterState(a, b) {
+  return serializeListState({ filter: a }) === serializeListState({ filter: b });
+}
@@ -0,0 +1,279 @@
+// Delivery Location
+// Lets the user choose where restaurants are listed for: their current position
+// (browser Geolocation API), one of their saved addresses, or typed-in coordinates.
+// The choice is saved in localStorage and shown in the header.
+//
+// Location shape: { label: 'Home', address: 'Tetavli, Kausa, Mumbra...', lat: 19.16, lng: 73.02 }
+
+const locationButton = document.getElementById("location-button");
+const locationLabelElement = document.getElementById("location-label");
+const locationAddressElement = document.getElementById("location-address");
+const locationPanel = document.getElementById("location-panel");
+const detectLocationButton = document.getElementById("detect-location");
+const locationStatusElement = document.getElementById("location-status");
+const savedAddressesElement = document.getElementById("saved-addresses");
+const manualLocationForm = document.getElementById("manual-location-form");
+
+const LOCATION_STORAGE_KEY = 'foodapp:location';
+const SAVED_ADDRESSES_STORAGE_KEY = 'foodapp:saved-addresses';
+
+// Built-in addresses, always offered alongside the user's own
+const PRESET_ADDRESSES = [
+  { label: 'Other', address: 'Tetavli, Kausa, Mumbra, Thane, Maharashtra', ...DEFAULT_LOCATION },
+  { label: 'Thane West', address: 'Thane West, Thane, Maharashtra', lat: 19.2183307, lng: 72.9780897 },
+  { label: 'Andheri East', address: 'Andheri East, Mumbai, Maharashtra', lat: 19.1136, lng: 72.8697 },
+  { label: 'Bandra West', address: 'Bandra West, Mumbai, Maharashtra', lat: 19.0596, lng: 72.8295 }
+];
+
+const GEOLOCATION_ERRORS = {
+  1: 'Location permission was denied. Pick a saved address or enter coordinates instead.',
+  2: "Your position couldn't be determined. Pick a saved address or enter coordinates instead.",
+  3: 'Finding your location took too long. Try again or enter coordinates instead.'
+};
+
+function isValidCoordinates(lat, lng) {
+  return Number.isFinite(lat) && Number.isFinite(lng) &&
+    lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180;
+}
+
+function formatCoordinates({ lat, lng }) {
+  return `${lat.toFixed(4)}, ${lng.toFixed(4)}`;
+}
+
+function readStoredJson(key, fallback) {
+  try {
+    return JSON.parse(localStorage.getItem(key)) ?? fallback;
+  } catch (error) {
+    return fallback;
+  }
+}
+
+// The saved location, or the default one if nothing (valid) is saved
+function getCurrentLocation() {
+  const saved = readStoredJson(LOCATION_STORAGE_KEY, null);
+  if (saved && isValidCoordinates(saved.lat, saved.lng)) {
+    return saved;
+  }
+  return PRESET_ADDRESSES[0];
+}
+
+function getSavedAddresses() {
+  const saved = readStoredJson(SAVED_ADDRESSES_STORAGE_KEY, []);
+  return Array.isArray(saved) ? saved.filter(entry => entry && isValidCoordinates(entry.lat, entry.lng)) : [];
+}
+
+function saveAddress(location) {
+  const addresses = getSavedAddresses().filter(entry => entry.label !== location.label);
+  localStorage.setItem(SAVED_ADDRESSES_STORAGE_KEY, JSON.stringify([location, ...addresses]));
+}
+
+function removeSavedAddress(label) {
+  const addresses = getSavedAddresses().filter(entry => entry.label !== label);
+  localStorage.setItem(SAVED_ADDRESSES_STORAGE_KEY, JSON.stringify(addresses));
+}
+
+// Remember the location and show it in the header, without loading anything
+function storeCurrentLocation(location) {
+  localStorage.setItem(LOCATION_STORAGE_KEY, JSON.stringify(location));
+  renderLocationHeader();
+}
+
+// Switch location: remember it, update the header and list restaurants for it
+function setCurrentLocation(location) {
+  storeCurrentLocation(location);
+  closeLocationPanel();
+  fetchRestaurants();
+  updateListUrl();
+}
+
+// A saved or preset address at these coordinates, or a new unnamed one (e.g. from a shared link)
+function findAddressAt(coordinates) {
+  const known = [...getSavedAddresses(), ...PRESET_ADDRESSES].find(address => isSameLocation(address, coordinates));
+  return known || { label: 'Shared location', address: '', lat: coordinates.lat, lng: coordinates.lng };
+}
+
+// Promise wrapper around navigator.geolocation.getCurrentPosition
+function requestBrowserPosition() {
+  return new Promise((resolve, reject) => {
+    if (!('geolocation' in navigator)) {
+      reject(new Error("This browser can't share your location."));
+      return;
+    }
+
+    navigator.geolocation.getCurrentPosition(
+      position => resolve({ lat: position.coords.latitude, lng: position.coords.longitude }),
+      error => reject(new Error(GEOLOCATION_ERRORS[error.code] || error.message)),
+      { enableHighAccuracy: false, timeout: 10000, maximumAge: 5 * 60 * 1000 }
+    );
+  });
+}
+
+async function detectLocation() {
+  detectLocationButton.disabled = true;
+  setLocationStatus('Finding your location...');
+
+  try {
+    const coordinates = await requestBrowserPosition();
+    setLocationStatus('');
+    setCurrentLocation({
+      label: 'Current location',
+      address: formatCoordinates(coordinates),
+      ...coordinates
+    });
+  } catch (error) {
+    console.error("Error getting location:", error);
+    setLocationStatus(error.message, true);
+  } finally {
+    detectLocationButton.disabled = false;
+  }
+}
+
+function setLocationStatus(message, isError = false) {
+  locationStatusElement.textContent = message;
+  locationStatusElement.classList.toggle('hidden', !message);
+  locationStatusElement.classList.toggle('text-red-600', isError);
+  locationStatusElement.classList.toggle('text-gray-600', !isError);
+}
+
+function renderLocationHeader() {
+  const location = getCurrentLocation();
+  locationLabelElement.textContent = location.label;
+  locationAddressElement.textContent = location.address || formatCoordinates(location);
+  locationButton.title = `${location.address || ''} (${formatCoordinates(location)})`.trim();
+}
+
+function renderSavedAddresses() {
+  const current = getCurrentLocation();
+  const userAddresses = getSavedAddresses();
+  const addresses = [
+    ...userAddresses.map(address => ({ ...address, removable: true })),
+    ...PRESET_ADDRESSES.filter(preset => !userAddresses.some(address => address.label === preset.label))
+  ];
+
+  savedAddressesElement.innerHTML = '';
+
+  addresses.forEach((address, index) => {
+    const isCurrent = address.lat === current.lat && address.lng === current.lng;
+
+    const row = document.createElement('li');
+    row.className = 'flex items-center gap-2';
+
+    const selectButton = document.createElement('button');
+    selectButton.type = 'button';
+    selectButton.dataset.addressIndex = index;
+    selectButton.className = `flex-1 text-left px-3 py-2 rounded-md hover:bg-gray-50 ${isCurrent ? 'bg-primary-50' : ''}`;
+
+    const label = document.createElement('div');
+    label.className = 'font-medium text-gray-800';
+    label.textContent = `${isCurrent ? '✓ ' : ''}${address.label}`;
+
+    const detail = document.createElement('div');
+    detail.className = 'text-xs text-gray-500 truncate';
+    detail.textContent = address.address || formatCoordinates(address);
+
+    selectButton.append(label, detail);
+    row.appendChild(selectButton);
+
+    if (address.removable) {
+      const removeButton = document.createElement('button');
+      removeButton.type = 'button';
+      removeButton.dataset.removeAddress = address.label;
+      removeButton.className = 'px-2 text-gray-400 hover:text-red-600';
+      removeButton.setAttribute('aria-label', `Remove saved address ${address.label}`);
+      removeButton.textContent = '✕';
+      row.appendChild(removeButton);
+    }
+
+    savedAddressesElement.appendChild(row);
+  });
+
+  savedAddressesElement.addresses = addresses;
+}
+
+function openLocationPanel() {
+  renderSavedAddresses();
+  setLocationStatus('');
+
+  const { lat, lng } = getCurrentLocation();
+  manualLocationForm.elements.lat.value = lat;
+  manualLocationForm.elements.lng.value = lng;
+
+  locationPanel.classList.remove('hidden');
+  locationButton.setAttribute('aria-expanded', 'true');
+}
+
+function closeLocationPanel() {
+  locationPanel.classList.add('hidden');
+  locationButton.setAttribute('aria-expanded', 'false');
+}
+
+locationButton.addEventListener('click', () => {
+  if (locationPanel.classList.contains('hidden')) {
+    openLocationPanel();
+  } else {
+    closeLocationPanel();
+  }
+});
+
+detectLocationButton.addEventListener('click', detectLocation);
+
+savedAddressesElement.addEventListener('click', (event) => {
+  const removeButton = event.target.closest('[data-remove-address]');
+  if (removeButton) {
+    removeSavedAddress(removeButton.dataset.removeAddress);
+    renderSavedAddresses();
+    return;
+  }
+
+  const selectButton = event.target.closest('[data-address-index]');
+  if (selectButton) {
+    const { label, address, lat, lng } = savedAddressesElement.addresses[selectButton.dataset.addressIndex];
+    setCurrentLocation({ label, address, lat, lng });
+  }
+});
+
+// Manual coordinates, optionally saved under a label for next time
+manualLocationForm.addEventListener('submit', (event) => {
+  event.preventDefault();
+
+  const { elements } = manualLocationForm;
+  const lat = parseFloat(elements.lat.value);
+  const lng = parseFloat(elements.lng.value);
+
+  if (!isValidCoordinates(lat, lng)) {
+    setLocationStatus('Latitude must be between -90 and 90 and longitude between -180 and 180.', true);
+    return;
+  }
+
+  const label = elements.label.value.trim();
+  const location = {
+    label: label || 'Pinned location',
+    address: formatCoordinates({ lat, lng }),
+    lat,
+    lng
+  };
+
+  if (label && elements.save.checked) {
+    saveAddress(location);
+  }
+
+  manualLocationForm.reset();
+  setCurrentLocation(location);
+});
+
+// Close the panel when clicking anywhere else or pressing Escape.
+// composedPath() still includes the panel when the clicked row was re-rendered away.
+document.addEventListener('click', (event) => {
+  const path = event.composedPath();
+  if (!locationPanel.classList.contains('hidden') &&
+      !path.includes(locationPanel) && !path.includes(locationButton)) {
+    closeLocationPanel();
+  }
+});
+
+document.addEventListener('keydown', (event) => {
+  if (event.key === 'Escape' && !locationPanel.classList.contains('hidden')) {
+    closeLocationPanel();
+    locationButton.focus();
+  }
+});
@@ -0,0 +1,58 @@
+// Offline Page
+// Shown by the service worker (sw.js) when the explorer can't be loaded. Lists the
+// restaurants from the last successful fetchRestaurants(), read straight from the
+// listing cache (cache.js); nothing here needs the network.
+
+const offlineSummaryElement = document.getElementById("offline-summary");
+const offlineListElement = document.getElementById("offline-restaurants");
+const offlineRetryButton = document.getElementById("offline-retry");
+
+function describeLocation(location) {
+  if (!location) return 'your last address';
+  return location.address ? `${location.label} (${location.address})` : location.label;
+}
+
+function renderOfflineCard({ info, offerText }) {
+  const imageUrl = buildImageUrl(BASE_URL, info.cloudinaryImageId);
+
+  return html`
+    <li class="bg-white rounded-lg overflow-hidden shadow-md">
+      ${imageUrl ? html`<img src="${imageUrl}" alt="" class="w-full h-32 object-cover" loading="lazy" />`
+        : html`<div class="w-full h-32 bg-gray-100 flex items-center justify-center text-4xl" aria-hidden="true">🍽️</div>`}
+      <div class="p-3">
+        <h2 class="font-bold text-gray-800 truncate">${info.name}</h2>
+        <p class="text-sm text-gray-600 truncate">${info.cuisines.join(', ')}</p>
+        <p class="text-sm text-gray-700 mt-1">
+          ${info.avgRating ?? 'New'} ⭐ · ${info.sla.slaString || '—'} · ${info.costForTwo || '—'}
+        </p>
+        ${offerText ? html`<p class="text-xs text-primary-600 mt-1">${offerText}</p>` : ''}
+      </div>
+    </li>
+  `;
+}
+
+function renderOfflineListing() {
+  const last = readLastListing();
+
+  if (!last) {
+    offlineSummaryElement.textContent = "There's no saved listing yet. Open the app once while online and it will be kept here.";
+    offlineListElement.innerHTML = '';
+    return;
+  }
+
+  try {
+    const { restaurants } = parseRestaurantPayload(last.payload);
+    offlineSummaryElement.textContent =
+      `${restaurants.length} restaurants near ${describeLocation(last.location)}, saved ${formatAge(last.fetchedAt)}. ` +
+      'Menus and ordering need a connection.';
+    offlineListElement.innerHTML = restaurants.map(renderOfflineCard).join('');
+  } catch (error) {
+    console.error("Error reading saved listing:", error);
+    offlineSummaryElement.textContent = "The saved listing couldn't be read.";
+    offlineListElement.innerHTML = '';
+  }
+}
+
+offlineRetryButton.addEventListener('click', () => window.location.reload());
+
+renderOfflineListing();
@@ -0,0 +1,227 @@
+// Response Parser
+// Turns raw Swiggy listing and menu payloads into clean restaurant and menu objects.
+//
+// Swiggy moves its cards around (banners, top brands, filters, the main grid...), so
+// instead of reading data.cards[4] we search the whole card tree for every
+// gridElements.infoWithStyle.restaurants block and merge them, dropping duplicates.
+// Menus are handled the same way: any node with itemCards is a menu category.
+
+// Thrown when a payload doesn't contain anything that looks like a restaurant list
+class PayloadError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'PayloadError';
+    this.code = 'UNRECOGNIZED_PAYLOAD';
+    this.details = details;
+  }
+}
+
+// Walk any JSON value and collect every restaurant grid found inside it
+function findRestaurantGrids(node, path = 'data', grids = []) {
+  if (Array.isArray(node)) {
+    node.forEach((child, index) => findRestaurantGrids(child, `${path}[${index}]`, grids));
+    return grids;
+  }
+
+  if (!node || typeof node !== 'object') {
+    return grids;
+  }
+
+  const restaurants = node.gridElements?.infoWithStyle?.restaurants;
+  if (Array.isArray(restaurants)) {
+    grids.push({ id: node.id || null, path, restaurants });
+  }
+
+  Object.keys(node).forEach(key => {
+    if (key !== 'gridElements') {
+      findRestaurantGrids(node[key], `${path}.${key}`, grids);
+    }
+  });
+
+  return grids;
+}
+
+// "25-30 mins" -> 25, falling back to sla.deliveryTime
+function parseDeliveryMinutes(sla) {
+  const fromString = parseInt(sla.slaString, 10);
+  if (!Number.isNaN(fromString)) return fromString;
+  return typeof sla.deliveryTime === 'number' ? sla.deliveryTime : null;
+}
+
+// "₹300 for two" -> 300
+function parseCostForTwo(costForTwo) {
+  const digits = String(costForTwo || '').replace(/[^\d]/g, '');
+  return digits ? Number(digits) : null;
+}
+
+// Build the offer label shown on a card, e.g. "₹125 OFF ABOVE ₹199"
+function getOfferText(info) {
+  const offer = info.aggregatedDiscountInfoV3 || info.aggregatedDiscountInfo;
+  if (!offer) return '';
+  return [offer.header, offer.subHeader].filter(Boolean).join(' ');
+}
+
+// Normalize one raw restaurant entry, or return null if it's unusable
+function normalizeRestaurant(raw) {
+  const info = raw?.info;
+  if (!info || info.id === undefined || !info.name) {
+    return null;
+  }
+
+  const sla = info.sla || {};
+  const avgRating = parseFloat(info.avgRating);
+  const offerText = getOfferText(info);
+
+  return {
+    info: {
+      ...info,
+      id: String(info.id),
+      cuisines: Array.isArray(info.cuisines) ? info.cuisines : [],
+      locality: info.locality || info.areaName || '',
+      costForTwo: info.costForTwo || '',
+      avgRating: Number.isNaN(avgRating) ? null : avgRating,
+      veg: Boolean(info.veg),
+      sla: { ...sla, slaString: sla.slaString || '' }
+    },
+    hasOffers: Boolean(info.aggregatedDiscountInfoV3 || info.aggregatedDiscountInfo),
+    offerText,
+    deliveryMinutes: parseDeliveryMinutes(sla),
+    costForTwoAmount: parseCostForTwo(info.costForTwo)
+  };
+}
+
+// Merge restaurants from every grid, keeping the first copy of each id and
+// filling in any fields it was missing from later copies
+function mergeRestaurants(grids) {
+  const byId = new Map();
+
+  grids.forEach(grid => {
+    grid.restaurants.forEach(raw => {
+      const restaurant = normalizeRestaurant(raw);
+      if (!restaurant) return;
+
+      const existing = byId.get(restaurant.info.id);
+      if (existing) {
+        existing.info = { ...restaurant.info, ...existing.info };
+      } else {
+        byId.set(restaurant.info.id, restaurant);
+      }
+    });
+  });
+
+  return [...byId.values()];
+}
+
+// Parse a listing payload into { restaurants, pageOffset }
+function parseRestaurantPayload(payload) {
+  const cards = payload?.data?.cards;
+
+  if (!Array.isArray(cards)) {
+    throw new PayloadError('The response has no data.cards list.', {
+      statusCode: payload?.statusCode,
+      keys: payload && typeof payload === 'object' ? Object.keys(payload) : []
+    });
+  }
+
+  const grids = findRestaurantGrids(cards, 'data.cards');
+
+  if (grids.length === 0) {
+    throw new PayloadError(`None of the ${cards.length} cards contain a restaurant grid.`, {
+      cardCount: cards.length,
+      cardIds: cards.map(card => card?.card?.card?.id).filter(Boolean)
+    });
+  }
+
+  return {
+    restaurants: mergeRestaurants(grids),
+    pageOffset: payload.data.pageOffset || null
+  };
+}
+
+// Normalize one menu item; Swiggy sends prices in paise
+function normalizeMenuItem(raw, category) {
+  const info = raw?.card?.info;
+  if (!info || info.id === undefined || !info.name) {
+    return null;
+  }
+
+  const paise = info.price ?? info.defaultPrice ?? info.finalPrice;
+  const vegClassifier = info.itemAttribute?.vegClassifier;
+
+  return {
+    id: String(info.id),
+    name: info.name,
+    category,
+    description: info.description || '',
+    imageId: info.imageId || '',
+    price: typeof paise === 'number' ? paise / 100 : null,
+    isVeg: vegClassifier ? vegClassifier === 'VEG' : info.isVeg === 1,
+    isBestseller: info.ribbon?.text === 'Bestseller' || Boolean(info.isBestseller),
+    inStock: info.inStock !== 0
+  };
+}
+
+// Walk the menu tree collecting every category with itemCards.
+// Nested categories become "Parent › Child".
+function findMenuCategories(node, parentTitle = '', categories = []) {
+  if (Array.isArray(node)) {
+    node.forEach(child => findMenuCategories(child, parentTitle, categories));
+    return categories;
+  }
+
+  if (!node || typeof node !== 'object') {
+    return categories;
+  }
+
+  const title = node.title ? [parentTitle, node.title].filter(Boolean).join(' › ') : parentTitle;
+
+  if (Array.isArray(node.itemCards)) {
+    const items = node.itemCards
+      .map(raw => normalizeMenuItem(raw, title))
+      .filter(Boolean);
+
+    if (items.length > 0) {
+      categories.push({ title: title || 'Menu', items });
+    }
+    return categories;
+  }
+
+  Object.keys(node).forEach(key => {
+    // Nested categories keep their parent's title; other keys start fresh
+    findMenuCategories(node[key], key === 'categories' ? title : parentTitle, categories);
+  });
+
+  return categories;
+}
+
+// Find the restaurant header card (the one whose info has a cloudinaryImageId)
+function findMenuRestaurant(cards) {
+  const card = cards.find(card => card?.card?.card?.info?.cloudinaryImageId !== undefined);
+  return card ? normalizeRestaurant(card.card.card) : null;
+}
+
+// Parse a menu payload into { restaurant, categories: [{ title, items }] }
+function parseMenuPayload(payload) {
+  const cards = payload?.data?.cards;
+
+  if (!Array.isArray(cards)) {
+    throw new PayloadError('The menu response has no data.cards list.', {
+      statusCode: payload?.statusCode,
+      keys: payload && typeof payload === 'object' ? Object.keys(payload) : []
+    });
+  }
+
+  const categories = findMenuCategories(cards);
+
+  if (categories.length === 0) {
+    throw new PayloadError(`None of the ${cards.length} menu cards contain any dishes.`, {
+      cardCount: cards.length,
+      cardTypes: cards.map(card => card?.card?.card?.['@type']).filter(Boolean)
+    });
+  }
+
+  return {
+    restaurant: findMenuRestaurant(cards),
+    categories
+  };
+}
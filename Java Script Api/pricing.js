@@ -0,0 +1,124 @@
+// Order Pricing
+// Pure functions that work out a cart's bill. No DOM, no storage, no globals:
+// the same inputs always give the same totals.
+//
+// Money is added up in whole paise (1 rupee = 100 paise) so sums like
+// 0.1 + 0.2 never pick up floating point noise; results are returned in rupees.
+//
+//   calculateOrderTotals(
+//     [{ price: 179, quantity: 2 }, { price: 99, quantity: 1 }],
+//     parseOffer({ header: '₹125 OFF', subHeader: 'ABOVE ₹199' })
+//   )
+//   // -> { itemCount: 3, subtotal: 457, discount: 125, deliveryFee: 40, total: 372 }
+
+const PRICING_RULES = {
+  deliveryFee: 40, // rupees
+  freeDeliveryAbove: 499 // subtotal (after discount) from which delivery is free
+};
+
+function toPaise(rupees) {
+  return Math.round(Number(rupees) * 100);
+}
+
+function toRupees(paise) {
+  return paise / 100;
+}
+
+// "₹1,250" -> 1250
+function parseAmount(text) {
+  const match = String(text || '').replace(/,/g, '').match(/(\d+(?:\.\d+)?)/);
+  return match ? Number(match[1]) : null;
+}
+
+// Understand a Swiggy offer banner. Returns one of
+//   { type: 'flat', amount, minOrder }                   "₹125 OFF" / "ABOVE ₹199"
+//   { type: 'percent', percent, maxDiscount, minOrder }  "50% OFF" / "UPTO ₹100"
+// or null for offers that can't be applied to a bill (e.g. "ITEMS AT ₹129").
+function parseOffer(offerInfo) {
+  if (!offerInfo || !offerInfo.header) return null;
+
+  const header = offerInfo.header.toUpperCase();
+  const subHeader = (offerInfo.subHeader || '').toUpperCase();
+
+  const percentMatch = header.match(/(\d+(?:\.\d+)?)\s*%\s*OFF/);
+  if (percentMatch) {
+    return {
+      type: 'percent',
+      percent: Number(percentMatch[1]),
+      maxDiscount: subHeader.includes('UPTO') ? parseAmount(subHeader) : null,
+      minOrder: subHeader.includes('ABOVE') ? parseAmount(subHeader) : 0
+    };
+  }
+
+  if (/OFF/.test(header) && parseAmount(header) !== null) {
+    return {
+      type: 'flat',
+      amount: parseAmount(header),
+      minOrder: subHeader.includes('ABOVE') ? parseAmount(subHeader) : 0
+    };
+  }
+
+  return null;
+}
+
+// Sum of price × quantity, in rupees
+function calculateSubtotal(items) {
+  const paise = items.reduce((sum, item) => sum + toPaise(item.price) * item.quantity, 0);
+  return toRupees(paise);
+}
+
+// Discount an offer gives on a subtotal; never more than the subtotal itself
+function calculateDiscount(subtotal, offer) {
+  if (!offer || subtotal <= 0 || subtotal < (offer.minOrder || 0)) {
+    return 0;
+  }
+
+  let discountPaise = 0;
+
+  if (offer.type === 'flat') {
+    discountPaise = toPaise(offer.amount);
+  } else if (offer.type === 'percent') {
+    discountPaise = Math.round(toPaise(subtotal) * offer.percent / 100);
+    if (offer.maxDiscount !== null && offer.maxDiscount !== undefined) {
+      discountPaise = Math.min(discountPaise, toPaise(offer.maxDiscount));
+    }
+  }
+
+  return toRupees(Math.min(discountPaise, toPaise(subtotal)));
+}
+
+// Flat delivery fee, waived once the discounted amount reaches the threshold
+function calculateDeliveryFee(amountAfterDiscount, rules = PRICING_RULES) {
+  if (amountAfterDiscount <= 0) return 0;
+  return amountAfterDiscount >= rules.freeDeliveryAbove ? 0 : rules.deliveryFee;
+}
+
+// The full bill for a list of { price, quantity } items and an optional parsed offer
+function calculateOrderTotals(items, offer = null, rules = PRICING_RULES) {
+  const itemCount = items.reduce((count, item) => count + item.quantity, 0);
+  const subtotal = calculateSubtotal(items);
+  const discount = calculateDiscount(subtotal, offer);
+  const afterDiscount = toRupees(toPaise(subtotal) - toPaise(discount));
+  const deliveryFee = calculateDeliveryFee(afterDiscount, rules);
+
+  return {
+    itemCount,
+    subtotal,
+    discount,
+    deliveryFee,
+    total: toRupees(toPaise(afterDiscount) + toPaise(deliveryFee))
+  };
+}
+
+// Lets Node's test runner require this file (see tests/pricing.test.js);
+// in the browser it's a plain script and these functions are globals
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    PRICING_RULES,
+    parseOffer,
+    calculateSubtotal,
+    calculateDiscount,
+    calculateDeliveryFee,
+    calculateOrderTotals
+  };
+}
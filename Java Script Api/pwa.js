@@ -0,0 +1,52 @@
+// Offline Support
+// Registers the service worker (sw.js) and shows a banner when the connection drops
+// or comes back. Used by both index.html and offline.html; each page decides what
+// the banner's button does when the connection returns (see setReconnectAction).
+
+const connectionBanner = document.getElementById("connection-banner");
+const connectionMessageElement = document.getElementById("connection-message");
+const connectionActionButton = document.getElementById("connection-action");
+const connectionDismissButton = document.getElementById("connection-dismiss");
+
+let reconnectAction = () => window.location.reload();
+
+function setReconnectAction(action) {
+  reconnectAction = action;
+}
+
+// Service workers only run on http(s) pages, not when index.html is opened from disk
+async function registerServiceWorker() {
+  if (!('serviceWorker' in navigator) || !/^https?:$/.test(window.location.protocol)) return;
+
+  try {
+    await navigator.serviceWorker.register('sw.js');
+  } catch (error) {
+    console.error("Error registering service worker:", error);
+  }
+}
+
+function showConnectionBanner(isOnline) {
+  connectionBanner.classList.remove('hidden');
+  connectionBanner.classList.toggle('bg-green-600', isOnline);
+  connectionBanner.classList.toggle('bg-gray-800', !isOnline);
+  connectionMessageElement.textContent = isOnline
+    ? "You're back online."
+    : "You're offline. Showing saved results where we have them.";
+  connectionActionButton.classList.toggle('hidden', !isOnline);
+}
+
+function hideConnectionBanner() {
+  connectionBanner.classList.add('hidden');
+}
+
+window.addEventListener('online', () => showConnectionBanner(true));
+window.addEventListener('offline', () => showConnectionBanner(false));
+
+connectionActionButton.addEventListener('click', () => {
+  hideConnectionBanner();
+  reconnectAction();
+});
+connectionDismissButton.addEventListener('click', hideConnectionBanner);
+
+if (!navigator.onLine) showConnectionBanner(false);
+registerServiceWorker();
@@ -0,0 +1,95 @@
+// Hash Router
+// Maps URL hashes like "#/restaurant/123" to view functions.
+//
+// Keeping the route in the hash means the page never reloads, and the browser's
+// back/forward buttons simply fire a "hashchange" event we can react to.
+// A route can carry a query after its path ("#/?sort=rating"); handlers get it as
+// URLSearchParams, and setCurrentQuery() changes it without re-running the handler.
+
+const routes = [];
+
+// Register a view for a path pattern; ":name" segments become params, e.g.
+// addRoute('/restaurant/:id', ({ id }, query) => ...)
+function addRoute(pattern, handler) {
+  const paramNames = [];
+  const regexSource = pattern.replace(/:(\w+)/g, (_, name) => {
+    paramNames.push(name);
+    return '([^/]+)';
+  });
+
+  routes.push({ regex: new RegExp(`^${regexSource}$`), paramNames, handler });
+}
+
+// "#/restaurant/123" -> "/restaurant/123"; an empty hash is the home route
+function getCurrentPath() {
+  return window.location.hash.replace(/^#/, '').split('?')[0] || '/';
+}
+
+// "#/?sort=rating" -> URLSearchParams with sort=rating
+function getCurrentQuery() {
+  const { hash } = window.location;
+  const index = hash.indexOf('?');
+  return new URLSearchParams(index === -1 ? '' : hash.slice(index + 1));
+}
+
+// Change the current route's query without running its handler. Adds a history entry
+// unless replace is set, so back/forward step through the changes.
+function setCurrentQuery(queryString, { replace = false } = {}) {
+  if (queryString === getCurrentQuery().toString()) return;
+
+  const url = `#${getCurrentPath()}${queryString ? `?${queryString}` : ''}`;
+  if (replace) {
+    history.replaceState(history.state, '', url);
+  } else {
+    history.pushState(null, '', url);
+  }
+}
+
+function handleRouteChange() {
+  const path = getCurrentPath();
+
+  for (const route of routes) {
+    const match = path.match(route.regex);
+    if (!match) continue;
+
+    const params = {};
+    try {
+      route.paramNames.forEach((name, index) => {
+        params[name] = decodeURIComponent(match[index + 1]);
+      });
+    } catch (error) {
+      // URIError from a malformed escape like "#/restaurant/%E0": treat it as unknown
+      break;
+    }
+
+    route.handler(params, getCurrentQuery());
+    return;
+  }
+
+  // Unknown (or malformed) route: fall back to home without adding a history entry
+  navigate('/', { replace: true });
+}
+
+// Go to a path. replace swaps the current history entry instead of adding one.
+function navigate(path, { replace = false } = {}) {
+  if (replace) {
+    history.replaceState(history.state, '', `#${path}`);
+    handleRouteChange();
+  } else {
+    window.location.hash = path;
+  }
+}
+
+// Show one of the page's views (elements with data-view) and hide the rest
+function showView(viewElement) {
+  document.querySelectorAll('[data-view]').forEach(view => {
+    view.classList.toggle('hidden', view !== viewElement);
+  });
+}
+
+function startRouter() {
+  // We restore the grid's scroll position ourselves when coming back from a detail view
+  history.scrollRestoration = 'manual';
+  window.addEventListener('hashchange', handleRouteChange);
+  handleRouteChange();
+}
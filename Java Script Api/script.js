@@ -5,156 +5,550 @@ const errorElement = document.getElementById("error");
 const noResultsElement = document.getElementById("no-results");
 const retryButton = document.getElementById("retry-button");
 const filterAllButton = document.getElementById("filter-all");
+const filterFavoritesButton = document.getElementById("filter-favorites");
 const filterRatingButton = document.getElementById("filter-rating");
 const filterFastButton = document.getElementById("filter-fast");
 const filterOffersButton = document.getElementById("filter-offers");
+const filterVegButton = document.getElementById("filter-veg");
+const cuisineOptionsElement = document.getElementById("cuisine-options");
+const cuisineCountElement = document.getElementById("cuisine-count");
+const minCostInput = document.getElementById("min-cost");
+const maxCostInput = document.getElementById("max-cost");
+const sortSelect = document.getElementById("sort-by");
+const activeFiltersElement = document.getElementById("active-filters");
+const searchInput = document.getElementById("search-input");
+const dataSourceSelect = document.getElementById("data-source");
+const errorTitleElement = document.getElementById("error-title");
+const errorMessageElement = document.getElementById("error-message");
+const errorDetailsElement = document.getElementById("error-details");
+const pageStatusElement = document.getElementById("page-status");
+const pageLoadingElement = document.getElementById("page-loading");
+const pageErrorElement = document.getElementById("page-error");
+const pageRetryButton = document.getElementById("page-retry-button");
+const pageEndElement = document.getElementById("page-end");
+const pageLoadingMessageElement = document.getElementById("page-loading-message");
+const loadingMessageElement = document.getElementById("loading-message");
+const loadingSkeletonsElement = document.getElementById("loading-skeletons");
+const pageSkeletonsElement = document.getElementById("page-skeletons");
+const listingFreshnessElement = document.getElementById("listing-freshness");
+const listingAgeElement = document.getElementById("listing-age");
+const refreshButton = document.getElementById("refresh-button");
+const gridPanelElement = document.getElementById("grid-panel");
+const showGridButton = document.getElementById("show-grid");
+const showDashboardButton = document.getElementById("show-dashboard");
+const resultsHeadingElement = document.getElementById("results-heading");
+const noResultsTitleElement = document.getElementById("no-results-title");
 
-// API Constants
-const BASE_URL = "https://media-assets.swiggy.com/swiggy/image/upload/fl_lossy,f_auto,q_auto,w_660/";
-const API_URL = "https://www.swiggy.com/dapi/restaurants/list/v5?lat=19.1672129&lng=73.0235553&is-seo-homepage-enabled=true&page_type=DESKTOP_WEB_LISTING";
+// API Constants (listing and image URLs live in dataSource.js)
+const MAX_RETRIES = 3; // automatic retries (with backoff) before giving up on a request
 
 // State variables
 let allRestaurants = [];
 let filteredRestaurants = [];
-let activeFilter = 'all';
+let activeFilter = createFilterState(); // see filters.js for the shape
+let renderedCuisineKey = ''; // cuisines currently listed in the dropdown
+let searchMatches = new Map(); // restaurant id -> where the search query matched
+let searchTimeoutId = null;
+let announceTimeoutId = null;
+let lastResultsAnnouncement = ''; // so re-renders with the same result count stay quiet
 
-// Fetch restaurants from API
-async function fetchRestaurants() {
-  showLoading();
-  
-  try {
-    const response = await fetch(API_URL);
-    console.log(response);
+// Pagination state
+let nextPageOffset = null; // data.pageOffset of the last page, used to ask for the next one
+let isLoadingPage = false;
+let listingRequestId = 0; // bumped on every fresh fetch so late page responses are ignored
+let listingLocation = null; // location the loaded pages belong to; later pages must use the same one
+let loadedPageCount = 0; // pages of the current listing loaded so far (mirrored in the URL)
+let restoredPageCount = 1; // pages to load straight away after opening a URL with page=N
+
+// Cache state (see cache.js)
+let listingFetchedAt = null; // when the listing on screen was fetched from the network
+let isRevalidating = false; // a cached listing is on screen while a fresh copy is fetched
+let revalidationFailed = false; // the fresh copy couldn't be fetched, so the cached one stays
 
-    if (!response.ok) {
-      throw new Error(`HTTP error! Status: ${response.status}`);
+// Fetch restaurants: a cached listing for this location is drawn straight away,
+// then a fresh copy is fetched in the background unless the cached one is recent
+async function fetchRestaurants({ forceRefresh = false } = {}) {
+  const requestId = ++listingRequestId;
+  nextPageOffset = null;
+  isLoadingPage = false;
+  isRevalidating = false;
+  listingLocation = getCurrentLocation();
+  
+  const cacheKey = getListingCacheKey(getDataSourceName(), listingLocation);
+  const cached = readListingCache(cacheKey);
+  let hasCachedListing = false;
+  
+  if (cached) {
+    try {
+      const listing = parseRestaurantPayload(cached.payload);
+      // Set before drawing so the cached page offset isn't used to load more pages yet
+      isRevalidating = forceRefresh || !isListingCacheFresh(cached);
+      showListing(listing, cached.fetchedAt);
+      hasCachedListing = true;
+    } catch (error) {
+      console.warn("Ignoring unreadable cached listing:", error);
+      isRevalidating = false;
     }
-    
-    const data = await response.json();
+  }
+  
+  if (hasCachedListing && !isRevalidating) return;
+  
+  if (!hasCachedListing) {
+    listingFetchedAt = null;
+    updateListingFreshness();
+    showLoading();
+  }
+  
+  try {
+    const data = await retryWithBackoff(() => loadRestaurantList(listingLocation), {
+      retries: MAX_RETRIES,
+      shouldContinue: () => requestId === listingRequestId,
+      onRetry: (attempt, delay) => {
+        if (requestId !== listingRequestId) return;
+        const message = describeRetry(attempt, delay);
+        if (hasCachedListing) {
+          listingAgeElement.textContent = message;
+        } else {
+          loadingMessageElement.textContent = message;
+        }
+      }
+    });
     console.log(data);
+    if (requestId !== listingRequestId) return;
     
-    allRestaurants = data.data.cards[4].card.card.gridElements.infoWithStyle.restaurants;
-    filteredRestaurants = [...allRestaurants];
-    
-    renderRestaurants(filteredRestaurants);
-    hideLoading();
+    const listing = parseRestaurantPayload(data);
+    if (writeListingCache(cacheKey, data)) {
+      rememberLastListing(cacheKey, listingLocation);
+    }
+    isRevalidating = false;
+    showListing(listing, Date.now());
   } catch (error) {
+    if (requestId !== listingRequestId) return;
     console.error("Error fetching restaurants:", error);
-    showError();
+    isRevalidating = false;
+    
+    if (hasCachedListing) {
+      // Keep showing the saved listing, just say it couldn't be refreshed
+      revalidationFailed = true;
+      updateListingFreshness();
+      loadNextPageIfVisible();
+    } else {
+      showError(error);
+    }
   }
 }
 
-// Render restaurants to the container
-function renderRestaurants(restaurants) {
-  // Clear the container first
-  restaurantContainer.innerHTML = '';
+// Draw a parsed first page (cached or fresh) and start over with its pagination
+function showListing({ restaurants, pageOffset }, fetchedAt) {
+  allRestaurants = restaurants;
+  nextPageOffset = pageOffset;
+  listingFetchedAt = fetchedAt;
+  revalidationFailed = false;
+  loadedPageCount = 1;
   
-  if (restaurants.length === 0) {
-    showNoResults();
-    return;
-  }
+  applyActiveFilter();
+  updateListUrl({ replace: true });
+  hideLoading();
+  focusResults();
+  updatePageStatus();
+  updateListingFreshness();
+  loadNextPageIfVisible();
+}
+
+// Fetch the next page and append its new restaurants
+async function fetchNextPage() {
+  // While a cached listing is being refreshed its page offset may be out of date
+  if (isLoadingPage || isRevalidating || !hasNextPage(nextPageOffset)) return;
   
-  hideNoResults();
+  const requestId = listingRequestId;
+  isLoadingPage = true;
+  showPageLoading();
   
-  restaurants.forEach(restaurant => {
-    const restaurantCard = document.createElement("div");
-    restaurantCard.classList.add("bg-white", "rounded-lg", "overflow-hidden", "shadow-md", "hover:shadow-xl", "transition-shadow", "duration-300");
+  try {
+    const data = await retryWithBackoff(() => loadRestaurantPage(nextPageOffset, listingLocation), {
+      retries: MAX_RETRIES,
+      shouldContinue: () => requestId === listingRequestId,
+      onRetry: (attempt, delay) => {
+        if (requestId === listingRequestId) {
+          pageLoadingMessageElement.textContent = describeRetry(attempt, delay);
+        }
+      }
+    });
+    if (requestId !== listingRequestId) return;
+    
+    const { restaurants, pageOffset } = parseRestaurantPayload(data);
     
-    const hasOffers = restaurant.info.aggregatedDiscountInfoV3 || restaurant.info.aggregatedDiscountInfo;
-    const offerText = hasOffers && restaurant.info.aggregatedDiscountInfoV3 
-      ? restaurant.info.aggregatedDiscountInfoV3.header + ' ' + (restaurant.info.aggregatedDiscountInfoV3.subHeader || '')
-      : '';
+    // Pages often repeat restaurants we already have, so de-duplicate by id
+    const knownIds = new Set(allRestaurants.map(restaurant => restaurant.info.id));
+    const newRestaurants = restaurants.filter(restaurant => !knownIds.has(restaurant.info.id));
     
-    restaurantCard.innerHTML = `
+    allRestaurants = [...allRestaurants, ...newRestaurants];
+    // A page with nothing new means we've reached the end, even if Swiggy sent another offset
+    nextPageOffset = newRestaurants.length > 0 ? pageOffset : null;
+    isLoadingPage = false;
+    loadedPageCount++;
+    if (loadedPageCount >= restoredPageCount) restoredPageCount = 1;
+    
+    applyActiveFilter();
+    updateListUrl({ replace: true });
+    updatePageStatus();
+    loadNextPageIfVisible();
+  } catch (error) {
+    if (requestId !== listingRequestId) return;
+    console.error("Error fetching next page:", error);
+    isLoadingPage = false;
+    showPageError();
+  }
+}
+
+// "Connection problem, retrying in 3s (retry 2 of 3)..."
+function describeRetry(attempt, delay) {
+  const seconds = Math.max(1, Math.round(delay / 1000));
+  return `Connection problem, retrying in ${seconds}s (retry ${attempt} of ${MAX_RETRIES})...`;
+}
+
+// Keep loading while the bottom of the grid is on screen (e.g. when a filter hides most cards)
+function loadNextPageIfVisible() {
+  // Nothing to do while the grid is hidden (e.g. a restaurant's detail view or the dashboard is open)
+  if (listView.classList.contains('hidden') || gridPanelElement.classList.contains('hidden')) return;
+  
+  // Pages a restored URL asked for are loaded whether or not they are scrolled to
+  const { top } = pageStatusElement.getBoundingClientRect();
+  if (top < window.innerHeight + 200 || loadedPageCount < restoredPageCount) {
+    fetchNextPage();
+  }
+}
+
+// Markup for one restaurant card; every API field is escaped by html`` (template.js)
+function renderRestaurantCard(restaurant) {
+  const { info, hasOffers, offerText } = restaurant;
+  const matches = searchMatches.get(info.id) || {};
+  const favorite = isFavorite(info.id);
+  
+  return html`
+    <article role="listitem" tabindex="-1" aria-labelledby="restaurant-name-${info.id}" aria-describedby="restaurant-cuisines-${info.id} restaurant-meta-${info.id}"
+             class="bg-white rounded-lg overflow-hidden shadow-md hover:shadow-xl transition-shadow duration-300 cursor-pointer focus:outline-none focus:ring-2 focus:ring-primary-500" data-restaurant-id="${info.id}">
       <div class="relative">
-        <img src="${BASE_URL}${restaurant.info.cloudinaryImageId}" alt="${restaurant.info.name}" 
-             class="w-full h-48 object-cover" loading="lazy" />
-        ${hasOffers ? `
+        ${renderProgressiveImage(info.cloudinaryImageId, info.name, 'w-full h-48')}
+        <button type="button" data-favorite-toggle aria-pressed="${favorite ? 'true' : 'false'}"
+                aria-label="${favorite ? `Remove ${info.name} from favorites` : `Add ${info.name} to favorites`}"
+                class="absolute top-2 right-2 w-9 h-9 rounded-full bg-white/90 shadow flex items-center justify-center text-xl ${favorite ? 'text-yellow-500' : 'text-gray-400'} hover:scale-110 transition-transform">
+          ${favorite ? '★' : '☆'}
+        </button>
+        ${hasOffers ? html`
         <div class="absolute top-0 left-0 bg-gradient-to-r from-primary-600 to-primary-500 text-white text-xs py-1 px-2 rounded-br">
           ${offerText || 'Offers Available'}
         </div>
         ` : ''}
         <div class="absolute bottom-0 left-0 right-0 bg-gradient-to-t from-black/70 to-transparent p-3">
           <div class="flex justify-between items-center">
-            <span class="text-white font-medium">${restaurant.info.costForTwo}</span>
-            <span class="bg-green-600 text-white text-sm px-2 py-1 rounded flex items-center">
-              ${restaurant.info.avgRating} ⭐
+            <span class="text-white font-medium">${info.costForTwo}</span>
+            <span class="bg-green-600 text-white text-sm px-2 py-1 rounded flex items-center"
+                  aria-label="${info.avgRating === null ? 'New, not rated yet' : `Rated ${info.avgRating} out of 5`}">
+              ${info.avgRating ?? 'New'} ⭐
             </span>
           </div>
         </div>
       </div>
       <div class="p-4">
-        <h2 class="text-lg font-bold text-gray-800 truncate">${restaurant.info.name}</h2>
-        <p class="text-sm text-gray-600 mb-2 truncate">${restaurant.info.cuisines.join(", ")}</p>
-        <div class="flex justify-between items-center text-sm">
+        <h2 id="restaurant-name-${info.id}" class="text-lg font-bold text-gray-800 truncate">
+          ${getNote(info.id) ? html`<span title="You have a note on this restaurant" aria-label="Has a note">📝</span>` : ''}
+          ${highlightText(info.name, matches.name)}
+        </h2>
+        <p id="restaurant-cuisines-${info.id}" class="text-sm text-gray-600 mb-2 truncate">${highlightText(info.cuisines.join(", "), matches.cuisines)}</p>
+        <div id="restaurant-meta-${info.id}" class="flex justify-between items-center text-sm">
           <p class="text-gray-700">
-            <svg xmlns="http://www.w3.org/2000/svg" class="h-4 w-4 inline mr-1" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+            <svg xmlns="http://www.w3.org/2000/svg" class="h-4 w-4 inline mr-1" fill="none" viewBox="0 0 24 24" stroke="currentColor" aria-hidden="true">
               <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
             </svg>
-            ${restaurant.info.sla.slaString}
+            ${info.sla.slaString}
           </p>
-          <p class="text-gray-700 truncate max-w-[150px]">${restaurant.info.locality}</p>
+          <p class="text-gray-700 truncate max-w-[150px]">${highlightText(info.locality, matches.locality)}</p>
         </div>
       </div>
-      <div class="px-4 py-2 border-t border-gray-100">
-        <button class="w-full text-primary-500 font-medium hover:text-primary-600 flex items-center justify-center">
-          <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5 mr-1" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+      <div class="px-4 py-2 border-t border-gray-100 flex items-center gap-2">
+        <label data-compare-toggle class="flex items-center gap-1.5 text-sm text-gray-600 cursor-pointer">
+          <input type="checkbox" data-compare-checkbox class="accent-primary-500" aria-label="Compare ${info.name}" ${isSelectedForCompare(info.id) ? 'checked' : ''} />
+          Compare
+        </label>
+        <a href="#/restaurant/${encodeURIComponent(info.id)}" aria-label="Order from ${info.name}"
+           class="flex-1 text-primary-500 font-medium hover:text-primary-600 flex items-center justify-center">
+          <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5 mr-1" fill="none" viewBox="0 0 24 24" stroke="currentColor" aria-hidden="true">
             <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M3 3h2l.4 2M7 13h10l4-8H5.4M7 13L5.4 5M7 13l-2.293 2.293c-.63.63-.184 1.707.707 1.707H17m0 0a2 2 0 100 4 2 2 0 000-4zm-8 2a2 2 0 11-4 0 2 2 0 014 0z" />
           </svg>
           ORDER NOW
-        </button>
+        </a>
       </div>
-    `;
-    restaurantContainer.appendChild(restaurantCard);
-  });
+    </article>
+  `;
+}
+
+// Render restaurants to the container (expects objects from parseRestaurantPayload).
+// Cards that haven't changed since the last render are kept as they are.
+function renderRestaurants(restaurants) {
+  patchList(restaurantContainer, restaurants, restaurant => restaurant.info.id, renderRestaurantCard);
+  updateRovingTabindex(restaurantContainer, '[data-restaurant-id]');
+  
+  if (restaurants.length === 0) {
+    showNoResults();
+  } else {
+    hideNoResults();
+  }
 }
 
-// Filter restaurants
+// Filter restaurants: 'all' clears every filter, anything else toggles that quick filter
 function filterRestaurants(filterType) {
-  activeFilter = filterType;
+  if (filterType === 'all') {
+    activeFilter = { ...createFilterState(), sort: activeFilter.sort };
+  } else {
+    activeFilter = toggleFilter(activeFilter, filterType);
+  }
   
-  // Reset all filter button styles
-  [filterAllButton, filterRatingButton, filterFastButton, filterOffersButton].forEach(button => {
-    button.classList.remove('bg-primary-500', 'text-white');
-    button.classList.add('bg-white', 'text-gray-700');
-  });
+  applyActiveFilter();
+  updateListUrl();
+}
+
+// Replace the whole filter state (used by chips, cuisine, cost, sort and search controls).
+// replaceUrl updates the current history entry instead of adding one.
+function setActiveFilter(state, { replaceUrl = false } = {}) {
+  activeFilter = state;
+  applyActiveFilter();
+  updateListUrl({ replace: replaceUrl });
+}
+
+// "filter=rating&loc=..." for the grid as it is now (see listState.js)
+function getListQuery() {
+  return serializeListState({ filter: activeFilter, location: getCurrentLocation(), pageCount: loadedPageCount });
+}
+
+// Route back to the grid as it is now, for "back to restaurants" links
+function getListPath() {
+  const query = getListQuery();
+  return query ? `/?${query}` : '/';
+}
+
+// Mirror the list state into the URL, only while the grid's route is showing
+function updateListUrl({ replace = false } = {}) {
+  if (getCurrentPath() !== '/') return;
+  setCurrentQuery(getListQuery(), { replace });
+}
+
+// Bring the list state in line with the URL's query (on load and on back/forward).
+// Returns whether the delivery location changed, in which case the listing must be refetched.
+function restoreListState(query, { render = true } = {}) {
+  const { filter, location, pageCount } = parseListState(query);
+  const locationChanged = Boolean(location) && !isSameLocation(location, getCurrentLocation());
   
-  // Set active filter button style
-  const activeButton = document.getElementById(`filter-${filterType}`);
-  activeButton.classList.remove('bg-white', 'text-gray-700');
-  activeButton.classList.add('bg-primary-500', 'text-white');
-  
-  switch(filterType) {
-    case 'all':
-      filteredRestaurants = [...allRestaurants];
-      break;
-    case 'rating':
-      filteredRestaurants = allRestaurants.filter(restaurant => parseFloat(restaurant.info.avgRating) >= 4.0);
-      break;
-    case 'fast':
-      filteredRestaurants = allRestaurants.filter(restaurant => {
-        const deliveryTime = parseInt(restaurant.info.sla.slaString.split(' ')[0]);
-        return deliveryTime < 30; // Less than 30 minutes
-      });
-      break;
-    case 'offers':
-      filteredRestaurants = allRestaurants.filter(restaurant => 
-        restaurant.info.aggregatedDiscountInfoV3 || restaurant.info.aggregatedDiscountInfo
-      );
-      break;
-    default:
-      filteredRestaurants = [...allRestaurants];
+  restoredPageCount = pageCount;
+  if (locationChanged) {
+    storeCurrentLocation(findAddressAt(location));
+  }
+  if (!isSameFilterState(filter, activeFilter)) {
+    activeFilter = filter;
+    if (render && !locationChanged) applyActiveFilter();
   }
   
+  return locationChanged;
+}
+
+// "#/" route: the grid, in whatever state the URL describes
+function showListRoute(params, query) {
+  const locationChanged = restoreListState(query);
+  showListView();
+  
+  if (locationChanged) {
+    fetchRestaurants();
+  } else {
+    loadNextPageIfVisible();
+  }
+}
+
+// Re-run the active filters and search over everything loaded so far (called again as pages arrive)
+function applyActiveFilter() {
+  // Search results are ranked by how well they match, unless the user picked a sort order
+  const context = { favoriteIds: getFavoriteIds() };
+  const results = searchRestaurants(applyFilters(allRestaurants, activeFilter, context), activeFilter.query, {
+    keepOrder: activeFilter.sort !== 'relevance'
+  });
+  
+  filteredRestaurants = results.map(result => result.restaurant);
+  searchMatches = new Map(results.map(result => [result.restaurant.info.id, result.matches]));
+  updateFilterControls();
   renderRestaurants(filteredRestaurants);
+  if (isDashboardVisible()) {
+    renderDashboard(filteredRestaurants);
+  }
+  
+  // e.g. the chip that had focus was just removed
+  focusResults();
+  announceResults();
+}
+
+// If focus was lost (its element hidden or removed), put it on the results heading,
+// or on the "No restaurants found" message when nothing matches
+function focusResults() {
+  if (listView.classList.contains('hidden') || !loadingElement.classList.contains('hidden')) return;
+  moveFocusIfLost(filteredRestaurants.length > 0 ? resultsHeadingElement : noResultsTitleElement);
+}
+
+// Tell screen reader users how many restaurants are shown, once things settle
+// (filters, search and arriving pages can re-render several times in a row)
+function announceResults() {
+  clearTimeout(announceTimeoutId);
+  announceTimeoutId = setTimeout(() => {
+    if (listView.classList.contains('hidden') || !loadingElement.classList.contains('hidden')) return;
+    
+    const count = filteredRestaurants.length;
+    const message = count === 0 ? 'No restaurants found. Try changing your filters or search terms.'
+      : isUnfiltered(activeFilter) ? `Showing ${count} restaurants`
+      : `Showing ${count} of ${allRestaurants.length} restaurants`;
+    
+    if (message !== lastResultsAnnouncement) {
+      lastResultsAnnouncement = message;
+      announce(message);
+    }
+  }, 500);
+}
+
+// Switch the list view between the card grid and the insights dashboard
+function setListMode(mode) {
+  const showDashboard = mode === 'dashboard';
+  
+  gridPanelElement.classList.toggle('hidden', showDashboard);
+  dashboardElement.classList.toggle('hidden', !showDashboard);
+  [[showGridButton, !showDashboard], [showDashboardButton, showDashboard]].forEach(([button, isActive]) => {
+    button.setAttribute('aria-pressed', String(isActive));
+    button.classList.toggle('bg-primary-500', isActive);
+    button.classList.toggle('text-white', isActive);
+    button.classList.toggle('text-gray-700', !isActive);
+  });
+  
+  if (showDashboard) {
+    renderDashboard(filteredRestaurants);
+  } else {
+    loadNextPageIfVisible();
+  }
+}
+
+// Sync buttons, dropdowns, inputs and chips with activeFilter
+function updateFilterControls() {
+  const quickButtons = { favorites: filterFavoritesButton, rating: filterRatingButton, fast: filterFastButton, offers: filterOffersButton, veg: filterVegButton };
+  
+  setFilterButtonActive(filterAllButton, isUnfiltered(activeFilter));
+  Object.entries(quickButtons).forEach(([key, button]) => {
+    setFilterButtonActive(button, activeFilter.toggles.includes(key));
+  });
+  
+  renderCuisineOptions();
+  cuisineCountElement.textContent = activeFilter.cuisines.length ? `(${activeFilter.cuisines.length})` : '';
+  minCostInput.value = activeFilter.minCost ?? '';
+  maxCostInput.value = activeFilter.maxCost ?? '';
+  sortSelect.value = activeFilter.sort;
+  // Don't overwrite what the user is typing while a page arrives mid-search
+  if (document.activeElement !== searchInput && searchInput.value !== activeFilter.query) {
+    searchInput.value = activeFilter.query;
+  }
+  
+  renderFilterChips();
+}
+
+function setFilterButtonActive(button, isActive) {
+  button.setAttribute('aria-pressed', String(isActive));
+  button.classList.toggle('bg-primary-500', isActive);
+  button.classList.toggle('text-white', isActive);
+  button.classList.toggle('bg-white', !isActive);
+  button.classList.toggle('text-gray-700', !isActive);
+}
+
+// Rebuild the cuisine checkboxes, but only when new pages bring new cuisines
+function renderCuisineOptions() {
+  const options = getCuisineOptions(allRestaurants);
+  // Selected cuisines stay listed even if no loaded restaurant serves them any more
+  activeFilter.cuisines.forEach(name => {
+    if (!options.some(option => option.name === name)) options.push({ name, count: 0 });
+  });
+  
+  const key = options.map(option => `${option.name}:${option.count}`).join('|');
+  if (key !== renderedCuisineKey) {
+    renderedCuisineKey = key;
+    cuisineOptionsElement.innerHTML = '';
+    
+    options.forEach(({ name, count }) => {
+      const label = document.createElement('label');
+      label.className = 'flex items-center gap-2 px-2 py-1 rounded text-sm text-gray-700 hover:bg-gray-50 cursor-pointer';
+      
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = name;
+      
+      const text = document.createElement('span');
+      text.className = 'flex-1';
+      text.textContent = name;
+      
+      const countText = document.createElement('span');
+      countText.className = 'text-xs text-gray-400';
+      countText.textContent = count;
+      
+      label.append(checkbox, text, countText);
+      cuisineOptionsElement.appendChild(label);
+    });
+  }
+  
+  cuisineOptionsElement.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+    checkbox.checked = activeFilter.cuisines.includes(checkbox.value);
+  });
+}
+
+// One removable chip per active filter, plus "Clear all"
+function renderFilterChips() {
+  const chips = getFilterChips(activeFilter);
+  activeFiltersElement.innerHTML = '';
+  activeFiltersElement.classList.toggle('hidden', chips.length === 0);
+  
+  chips.forEach(chip => {
+    const chipButton = document.createElement('button');
+    chipButton.className = 'flex items-center gap-1 px-3 py-1 rounded-full text-sm bg-primary-50 text-primary-700 border border-primary-200 hover:bg-primary-100';
+    chipButton.dataset.chipId = chip.id;
+    chipButton.setAttribute('aria-label', `Remove filter: ${chip.label}`);
+    chipButton.textContent = `${chip.label} ✕`;
+    activeFiltersElement.appendChild(chipButton);
+  });
+  
+  if (chips.length > 1) {
+    const clearButton = document.createElement('button');
+    clearButton.className = 'text-sm text-gray-500 underline hover:text-gray-700';
+    clearButton.dataset.chipId = 'all';
+    clearButton.textContent = 'Clear all';
+    activeFiltersElement.appendChild(clearButton);
+  }
+}
+
+// Read the cost range inputs; blank means no limit, and a reversed range is swapped
+function readCostRange() {
+  const parse = input => input.value === '' ? null : Math.max(0, Number(input.value));
+  let minCost = parse(minCostInput);
+  let maxCost = parse(maxCostInput);
+  
+  if (minCost !== null && maxCost !== null && minCost > maxCost) {
+    [minCost, maxCost] = [maxCost, minCost];
+  }
+  
+  return { minCost, maxCost };
 }
 
 // UI State functions
 function showLoading() {
+  loadingMessageElement.textContent = 'Fetching restaurants...';
   loadingElement.classList.remove('hidden');
   errorElement.classList.add('hidden');
   restaurantContainer.classList.add('hidden');
   noResultsElement.classList.add('hidden');
+  pageStatusElement.classList.add('hidden');
+  pageSkeletonsElement.classList.add('hidden');
+  
+  lastResultsAnnouncement = '';
+  announce('Loading restaurants...');
+  moveFocusIfLost(loadingElement);
 }
 
 function hideLoading() {
@@ -162,11 +556,27 @@ function hideLoading() {
   restaurantContainer.classList.remove('hidden');
 }
 
-function showError() {
+function showError(error) {
+  if (error instanceof PayloadError) {
+    // The request worked but the response wasn't a restaurant listing we understand
+    errorTitleElement.textContent = "Unrecognized response";
+    errorMessageElement.textContent = `The ${getDataSource().label.toLowerCase()} returned data we couldn't read: ${error.message}`;
+    errorDetailsElement.textContent = JSON.stringify(error.details, null, 2);
+    errorDetailsElement.classList.remove('hidden');
+  } else {
+    errorTitleElement.textContent = "Oops! Something went wrong";
+    errorMessageElement.textContent = `We couldn't load the restaurants from the ${getDataSource().label.toLowerCase()}. Please try again.`;
+    errorDetailsElement.classList.add('hidden');
+  }
+
   loadingElement.classList.add('hidden');
   errorElement.classList.remove('hidden');
   restaurantContainer.classList.add('hidden');
   noResultsElement.classList.add('hidden');
+  pageStatusElement.classList.add('hidden');
+  
+  announce(`${errorTitleElement.textContent}. ${errorMessageElement.textContent}`, { assertive: true });
+  moveFocusIfLost(errorTitleElement);
 }
 
 function showNoResults() {
@@ -179,14 +589,175 @@ function hideNoResults() {
   noResultsElement.classList.add('hidden');
 }
 
+// Per-page state shown under the grid: loading, failed (with retry) or end of list
+function showPageLoading() {
+  pageLoadingMessageElement.textContent = 'Loading more restaurants...';
+  pageStatusElement.classList.remove('hidden');
+  pageLoadingElement.classList.remove('hidden');
+  pageSkeletonsElement.classList.remove('hidden');
+  pageErrorElement.classList.add('hidden');
+  pageEndElement.classList.add('hidden');
+}
+
+function showPageError() {
+  pageStatusElement.classList.remove('hidden');
+  pageLoadingElement.classList.add('hidden');
+  pageSkeletonsElement.classList.add('hidden');
+  pageErrorElement.classList.remove('hidden');
+  pageEndElement.classList.add('hidden');
+  announce("Couldn't load more restaurants.", { assertive: true });
+}
+
+function updatePageStatus() {
+  const hasMore = hasNextPage(nextPageOffset);
+  pageStatusElement.classList.remove('hidden');
+  pageLoadingElement.classList.add('hidden');
+  pageSkeletonsElement.classList.add('hidden');
+  pageErrorElement.classList.add('hidden');
+  pageEndElement.classList.toggle('hidden', hasMore);
+  pageEndElement.textContent = `That's all ${allRestaurants.length} restaurants near you`;
+}
+
+// "Updated 10 min ago", plus whether a refresh is running or failed
+function updateListingFreshness() {
+  listingFreshnessElement.classList.toggle('hidden', listingFetchedAt === null);
+  if (listingFetchedAt === null) return;
+  
+  const age = `Updated ${formatAge(listingFetchedAt)}`;
+  if (isRevalidating) {
+    listingAgeElement.textContent = `${age} · refreshing...`;
+  } else if (revalidationFailed) {
+    listingAgeElement.textContent = `${age} · couldn't refresh, showing saved results`;
+  } else {
+    listingAgeElement.textContent = age;
+  }
+  refreshButton.disabled = isRevalidating;
+}
+
+// Populate the data source dropdown and refetch when it changes
+function initDataSourceSelect() {
+  Object.entries(dataSources).forEach(([name, source]) => {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = source.label;
+    dataSourceSelect.appendChild(option);
+  });
+
+  dataSourceSelect.value = getDataSourceName();
+  dataSourceSelect.addEventListener('change', () => {
+    setDataSourceName(dataSourceSelect.value);
+    fetchRestaurants();
+  });
+}
+
+// Load the next page when the bottom of the grid scrolls into view
+const pageObserver = new IntersectionObserver(entries => {
+  if (entries.some(entry => entry.isIntersecting)) {
+    fetchNextPage();
+  }
+}, { rootMargin: '200px' });
+
 // Event Listeners
-retryButton.addEventListener('click', fetchRestaurants);
+retryButton.addEventListener('click', () => fetchRestaurants({ forceRefresh: true }));
+refreshButton.addEventListener('click', () => fetchRestaurants({ forceRefresh: true }));
+
+// Clicking a card (or its ORDER NOW button) opens the restaurant's detail route;
+// the star only adds it to (or removes it from) the favorites
+restaurantContainer.addEventListener('click', (event) => {
+  const card = event.target.closest('[data-restaurant-id]');
+  // The ORDER NOW link navigates by itself
+  if (!card || event.target.closest('[data-compare-toggle], a')) return;
+  
+  if (event.target.closest('[data-favorite-toggle]')) {
+    const restaurant = allRestaurants.find(entry => entry.info.id === card.dataset.restaurantId);
+    if (restaurant) toggleFavorite(restaurant);
+  } else {
+    navigate(`/restaurant/${encodeURIComponent(card.dataset.restaurantId)}`);
+  }
+});
+
+// Blurred placeholders give way to loaded images; broken ones become initials (see images.js)
+enableProgressiveImages(restaurantContainer);
+
+// Arrow keys move between cards, Enter opens one (see accessibility.js)
+enableGridKeyboardNavigation(restaurantContainer, '[data-restaurant-id]', card => {
+  navigate(`/restaurant/${encodeURIComponent(card.dataset.restaurantId)}`);
+});
+
+// Ticking "Compare" on a card
+restaurantContainer.addEventListener('change', (event) => {
+  const checkbox = event.target.closest('[data-compare-checkbox]');
+  if (!checkbox) return;
+  
+  const { restaurantId } = checkbox.closest('[data-restaurant-id]').dataset;
+  if (!toggleCompare(restaurantId)) {
+    checkbox.checked = false;
+    updateCompareBar(`You can compare up to ${MAX_COMPARE} restaurants`);
+  }
+});
+pageRetryButton.addEventListener('click', fetchNextPage);
+showGridButton.addEventListener('click', () => setListMode('grid'));
+showDashboardButton.addEventListener('click', () => setListMode('dashboard'));
 filterAllButton.addEventListener('click', () => filterRestaurants('all'));
+filterFavoritesButton.addEventListener('click', () => filterRestaurants('favorites'));
 filterRatingButton.addEventListener('click', () => filterRestaurants('rating'));
 filterFastButton.addEventListener('click', () => filterRestaurants('fast'));
 filterOffersButton.addEventListener('click', () => filterRestaurants('offers'));
+filterVegButton.addEventListener('click', () => filterRestaurants('veg'));
+
+cuisineOptionsElement.addEventListener('change', () => {
+  const cuisines = [...cuisineOptionsElement.querySelectorAll('input:checked')].map(checkbox => checkbox.value);
+  setActiveFilter({ ...activeFilter, cuisines });
+});
+
+[minCostInput, maxCostInput].forEach(input => {
+  input.addEventListener('change', () => setActiveFilter({ ...activeFilter, ...readCostRange() }));
+});
+
+// Search as the user types, filtering what's already loaded (no refetch)
+searchInput.addEventListener('input', () => {
+  clearTimeout(searchTimeoutId);
+  searchTimeoutId = setTimeout(() => {
+    // Typing a query is one history entry, not one per keystroke
+    setActiveFilter({ ...activeFilter, query: searchInput.value }, { replaceUrl: activeFilter.query !== '' });
+  }, 150);
+});
+
+sortSelect.addEventListener('change', () => setActiveFilter({ ...activeFilter, sort: sortSelect.value }));
+
+activeFiltersElement.addEventListener('click', (event) => {
+  const chipButton = event.target.closest('[data-chip-id]');
+  if (!chipButton) return;
+  
+  const { chipId } = chipButton.dataset;
+  setActiveFilter(chipId === 'all' ? { ...createFilterState(), sort: activeFilter.sort } : removeFilter(activeFilter, chipId));
+});
 
 // Initialize app
 (function init() {
+  Object.entries(SORT_OPTIONS).forEach(([key, option]) => {
+    sortSelect.add(new Option(option.label, key));
+  });
+  
+  initDataSourceSelect();
+  renderSkeletonCards(loadingSkeletonsElement);
+  renderSkeletonCards(pageSkeletonsElement, 4);
+  pageObserver.observe(pageStatusElement);
+  
+  addRoute('/', showListRoute);
+  addRoute('/restaurant/:id', ({ id }) => showRestaurantDetail(id));
+  addRoute('/cart', showCartView);
+  addRoute('/checkout', showCheckoutView);
+  addRoute('/compare/:ids', ({ ids }) => showCompareView(ids.split(',')));
+  
+  updateCartUI();
+  renderLocationHeader();
+  renderRecentlyViewed();
+  
+  // Filters, location and pages from the URL are in place before anything is drawn
+  restoreListState(getCurrentQuery(), { render: false });
   fetchRestaurants();
+  setReconnectAction(() => fetchRestaurants({ forceRefresh: true }));
+  setInterval(updateListingFreshness, 30 * 1000); // keep "Updated x min ago" current
+  startRouter();
 })();
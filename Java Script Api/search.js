@@ -0,0 +1,155 @@
+// Restaurant Search
+// Typo-tolerant search over restaurant name, cuisines and locality.
+//
+// Every word in the query has to match one of the fields, either as a plain
+// substring ("piz" -> "Pizza Hut") or within a small edit distance
+// ("biryni" -> "Biryani"). Matches in the name count more than matches in the
+// cuisines, which count more than the locality. The results remember where each
+// word matched so the cards can highlight it.
+
+// Fields that are searched, how much a match in each one is worth, and how to read it
+const SEARCH_FIELDS = {
+  name: { weight: 3, read: restaurant => restaurant.info.name },
+  cuisines: { weight: 2, read: restaurant => restaurant.info.cuisines.join(', ') },
+  locality: { weight: 1, read: restaurant => restaurant.info.locality }
+};
+
+// How many typos a query word may contain, based on its length
+function allowedTypos(word) {
+  if (word.length < 3) return 0;
+  if (word.length <= 5) return 1;
+  return 2;
+}
+
+// Edit distance counting insertions, deletions, substitutions and swapped neighbours
+function editDistance(a, b) {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(
+        rows[i - 1][j] + 1,
+        rows[i][j - 1] + 1,
+        rows[i - 1][j - 1] + cost
+      );
+
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return rows[a.length][b.length];
+}
+
+// Split a search query into lowercase words
+function tokenizeQuery(query) {
+  return String(query || '').toLowerCase().match(/[\p{L}\p{N}']+/gu) || [];
+}
+
+// Find one query word in a field's text.
+// Returns { score, range: [start, end] } or null. Scores are between 0 and 1.
+function matchWord(word, text) {
+  const lowerText = text.toLowerCase();
+
+  // 1. Plain substring, best when it starts a word
+  const index = lowerText.indexOf(word);
+  if (index !== -1) {
+    const startsWord = index === 0 || !/[\p{L}\p{N}]/u.test(lowerText[index - 1]);
+    return { score: startsWord ? 1 : 0.8, range: [index, index + word.length] };
+  }
+
+  // 2. Fuzzy match against each word of the text (or its prefix, for half-typed words)
+  const maxTypos = allowedTypos(word);
+  if (maxTypos === 0) return null;
+
+  let best = null;
+  for (const { 0: textWord, index: start } of lowerText.matchAll(/[\p{L}\p{N}']+/gu)) {
+    const wholeDistance = editDistance(word, textWord);
+    const prefixDistance = editDistance(word, textWord.slice(0, word.length));
+    const distance = Math.min(wholeDistance, prefixDistance);
+
+    if (distance <= maxTypos && (!best || distance < best.distance)) {
+      const length = wholeDistance <= prefixDistance ? textWord.length : word.length;
+      best = { distance, range: [start, start + length] };
+    }
+  }
+
+  return best && { score: 0.6 - 0.15 * best.distance, range: best.range };
+}
+
+// Search restaurants and rank them.
+// Returns [{ restaurant, score, matches: { name: [[start, end]], ... } }], best first.
+// With keepOrder the input order is kept (used when the user picked a sort order).
+function searchRestaurants(restaurants, query, { keepOrder = false } = {}) {
+  const words = tokenizeQuery(query);
+
+  if (words.length === 0) {
+    return restaurants.map(restaurant => ({ restaurant, score: 0, matches: {} }));
+  }
+
+  const results = [];
+
+  restaurants.forEach(restaurant => {
+    const matches = {};
+    let score = 0;
+
+    const allWordsMatch = words.every(word => {
+      let bestWordScore = 0;
+
+      Object.entries(SEARCH_FIELDS).forEach(([field, { weight, read }]) => {
+        const match = matchWord(word, read(restaurant) || '');
+        if (!match) return;
+
+        (matches[field] = matches[field] || []).push(match.range);
+        // A name that starts with the word beats one that only contains it
+        const startBonus = field === 'name' && match.range[0] === 0 ? 0.25 : 0;
+        bestWordScore = Math.max(bestWordScore, weight * match.score + startBonus);
+      });
+
+      score += bestWordScore;
+      return bestWordScore > 0;
+    });
+
+    if (!allWordsMatch) return;
+
+    // Small bonus when the name starts with the whole query
+    if (restaurant.info.name.toLowerCase().startsWith(words.join(' '))) {
+      score += 1;
+    }
+
+    results.push({ restaurant, score, matches });
+  });
+
+  return keepOrder ? results : results.sort((a, b) => b.score - a.score);
+}
+
+// Escape text and wrap the given [start, end] ranges in <mark> tags.
+// Returns SafeHtml (see template.js), ready to drop into an html`` template.
+function highlightText(text, ranges = []) {
+  const value = String(text ?? '');
+  if (ranges.length === 0) return trustedHtml(escapeHtml(value));
+
+  // Sort and merge overlapping ranges
+  const merged = [];
+  [...ranges].sort((a, b) => a[0] - b[0]).forEach(([start, end]) => {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      merged.push([start, end]);
+    }
+  });
+
+  let markup = '';
+  let position = 0;
+  merged.forEach(([start, end]) => {
+    markup += escapeHtml(value.slice(position, start));
+    markup += `<mark class="bg-yellow-200 text-inherit rounded-sm">${escapeHtml(value.slice(start, end))}</mark>`;
+    position = end;
+  });
+
+  return trustedHtml(markup + escapeHtml(value.slice(position)));
+}
@@ -0,0 +1,200 @@
+// Local stand-in for the Swiggy API
+// Serves recorded Swiggy-shaped JSON (and the explorer page itself) so the app works
+// on machines without internet access. Uses only Node's built-in modules.
+//
+// Usage, from the "Java Script Api" folder:
+//   node server/fixture-server.js            replay recordings, falling back to fixtures/
+//   node server/fixture-server.js --record   forward to Swiggy and save fresh recordings
+//   PORT=5000 node server/fixture-server.js  listen on another port
+//
+// Then open http://localhost:4000/?source=recorded
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.env.PORT) || 4000;
+const RECORD_MODE = process.argv.includes('--record');
+
+const APP_DIR = path.join(__dirname, '..');
+const FIXTURES_DIR = path.join(APP_DIR, 'fixtures');
+const RECORDINGS_DIR = path.join(__dirname, 'recordings');
+const SWIGGY_API_ORIGIN = 'https://www.swiggy.com';
+const LISTING_WIDGET = 'collectionV5RestaurantListWidget_SimRestoRelevance_food_seo';
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.webmanifest': 'application/manifest+json; charset=utf-8',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon'
+};
+
+// API routes and the file each response is recorded under
+const API_ROUTES = {
+  '/dapi/restaurants/list/v5': () => 'list-v5.json',
+  // Pages are keyed by how many grid restaurants came before them, e.g. update-12.json
+  '/dapi/restaurants/list/update': (url, body) => `update-${getPageKey(body)}.json`,
+  '/dapi/menu/pl': (url) => `menu-${String(url.searchParams.get('restaurantId')).replace(/[^\w-]/g, '_')}.json`
+};
+
+// Same key dataSource.js uses for fixture pages. Throws a SyntaxError if the body isn't JSON.
+function getPageKey(body) {
+  const { nextOffset, widgetOffset } = JSON.parse(body || '{}') || {};
+  const key = (widgetOffset && widgetOffset[LISTING_WIDGET]) || nextOffset || 'first';
+  return String(key).replace(/[^\w-]/g, '_');
+}
+
+// Send a JSON body with CORS headers, so pages opened from file:// can call us too
+function sendJson(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': MIME_TYPES['.json'],
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type'
+  });
+  res.end(typeof body === 'string' ? body : JSON.stringify(body));
+}
+
+function readRequestBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+// Look for a recording first, then the bundled fixture with the same name
+function findRecordedResponse(fileName) {
+  const candidates = [
+    path.join(RECORDINGS_DIR, fileName),
+    path.join(FIXTURES_DIR, fileName)
+  ];
+
+  return candidates.find(file => fs.existsSync(file)) || null;
+}
+
+// Forward the request to Swiggy and save the response for later replays
+async function recordResponse(req, body, fileName) {
+  const response = await fetch(SWIGGY_API_ORIGIN + req.url, {
+    method: req.method,
+    headers: {
+      'Content-Type': 'application/json',
+      // Swiggy rejects requests that don't look like they come from a browser
+      'User-Agent': 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36'
+    },
+    body: req.method === 'POST' ? body : undefined
+  });
+
+  const text = await response.text();
+
+  if (response.ok) {
+    fs.mkdirSync(RECORDINGS_DIR, { recursive: true });
+    fs.writeFileSync(path.join(RECORDINGS_DIR, fileName), text);
+    console.log(`Recorded ${req.method} ${req.url} -> recordings/${fileName}`);
+  }
+
+  return { status: response.status, text };
+}
+
+async function handleApiRequest(req, res, route) {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const body = req.method === 'POST' ? await readRequestBody(req) : '';
+
+  let fileName;
+  try {
+    fileName = route(url, body);
+  } catch (error) {
+    // A body that isn't JSON is the client's mistake, not the upstream's
+    sendJson(res, 400, { statusCode: 1, statusMessage: `Bad request body: ${error.message}` });
+    return;
+  }
+
+  if (RECORD_MODE) {
+    const { status, text } = await recordResponse(req, body, fileName);
+    sendJson(res, status, text);
+    return;
+  }
+
+  const file = findRecordedResponse(fileName);
+
+  if (!file) {
+    sendJson(res, 404, { statusCode: 1, statusMessage: `No recording for ${url.pathname} (${fileName})` });
+    return;
+  }
+
+  sendJson(res, 200, fs.readFileSync(file, 'utf8'));
+}
+
+// Serve the explorer itself, so http://localhost:4000/ opens the page
+function serveStatic(req, res) {
+  const { pathname } = new URL(req.url, `http://${req.headers.host}`);
+  let relativePath;
+  try {
+    relativePath = decodeURIComponent(pathname === '/' ? '/index.html' : pathname);
+  } catch (error) {
+    // URIError: a malformed escape like /%E0%A4%A
+    res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end('Bad request');
+    return;
+  }
+  const file = path.join(APP_DIR, relativePath);
+
+  // Never serve files from outside the app folder
+  if (!file.startsWith(APP_DIR + path.sep)) {
+    res.writeHead(403);
+    res.end('Forbidden');
+    return;
+  }
+
+  fs.readFile(file, (error, content) => {
+    if (error) {
+      res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end('Not found');
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(file)] || 'application/octet-stream' });
+    res.end(content);
+  });
+}
+
+// Anything that goes wrong answers that one request with an error; an unhandled
+// rejection here would take the whole server down
+const server = http.createServer(async (req, res) => {
+  console.log(`${req.method} ${req.url}`);
+  let route;
+
+  try {
+    const { pathname } = new URL(req.url, `http://${req.headers.host}`);
+
+    if (req.method === 'OPTIONS') {
+      sendJson(res, 204, '');
+      return;
+    }
+
+    route = API_ROUTES[pathname];
+
+    if (!route) {
+      serveStatic(req, res);
+      return;
+    }
+
+    await handleApiRequest(req, res, route);
+  } catch (error) {
+    console.error(`Error handling ${req.method} ${req.url}:`, error);
+    if (res.headersSent) {
+      res.end();
+      return;
+    }
+    // API failures are the upstream's (or a recording's) fault, the rest are ours
+    sendJson(res, route ? 502 : 500, { statusCode: 1, statusMessage: error.message });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Fixture server running at http://localhost:${PORT}/ (${RECORD_MODE ? 'recording' : 'replaying'})`);
+});
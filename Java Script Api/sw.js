@@ -0,0 +1,163 @@
+// Service Worker
+// Makes the explorer installable and usable offline:
+//
+//   - The app shell (pages, scripts, manifest, icon) is precached on install and
+//     served network-first, so online visits always get the latest files.
+//   - Restaurant and dish images from Swiggy's image CDN (BASE_URL in dataSource.js)
+//     are cached as they are shown, cache-first, up to IMAGE_CACHE_LIMIT entries.
+//   - The Tailwind CDN script is cached stale-while-revalidate so pages keep their styles.
+//   - A page that can't be loaded falls back to offline.html, which shows the last
+//     listing saved by fetchRestaurants().
+//
+// API requests are left alone: listings are cached by the page itself (cache.js).
+// Bump CACHE_VERSION whenever SHELL_FILES changes.
+
+const CACHE_VERSION = 'v3';
+const SHELL_CACHE = `foodapp-shell-${CACHE_VERSION}`;
+const IMAGE_CACHE = `foodapp-images-${CACHE_VERSION}`;
+const IMAGE_CACHE_LIMIT = 200;
+
+const IMAGE_URL_PREFIX = 'https://media-assets.swiggy.com/swiggy/image/upload/';
+const TAILWIND_URL = 'https://cdn.tailwindcss.com';
+const OFFLINE_PAGE = 'offline.html';
+
+const SHELL_FILES = [
+  'index.html',
+  OFFLINE_PAGE,
+  'manifest.webmanifest',
+  'icons/icon.svg',
+  'template.js',
+  'images.js',
+  'accessibility.js',
+  'dataSource.js',
+  'cache.js',
+  'location.js',
+  'parser.js',
+  'filters.js',
+  'listState.js',
+  'search.js',
+  'router.js',
+  'pricing.js',
+  'cart.js',
+  'detail.js',
+  'favorites.js',
+  'compare.js',
+  'dashboard.js',
+  'pwa.js',
+  'offline.js',
+  'script.js'
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(SHELL_CACHE);
+    await cache.addAll(SHELL_FILES);
+
+    // Cross-origin, so the response is opaque and addAll() would refuse it; best effort only
+    try {
+      await cache.put(TAILWIND_URL, await fetch(TAILWIND_URL, { mode: 'no-cors' }));
+    } catch (error) {
+      console.warn("Couldn't precache Tailwind:", error);
+    }
+
+    await self.skipWaiting();
+  })());
+});
+
+// Drop caches left behind by older versions
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const current = [SHELL_CACHE, IMAGE_CACHE];
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name.startsWith('foodapp-') && !current.includes(name))
+      .map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request));
+  } else if (request.url.startsWith(IMAGE_URL_PREFIX)) {
+    event.respondWith(handleImage(request));
+  } else if (url.origin === TAILWIND_URL) {
+    event.respondWith(handleTailwind(request, event));
+  } else if (url.origin === self.location.origin && isShellFile(url)) {
+    event.respondWith(handleShellFile(request));
+  }
+});
+
+function isShellFile(url) {
+  const scope = new URL(self.registration.scope);
+  const path = url.pathname.slice(scope.pathname.length);
+  return SHELL_FILES.includes(path);
+}
+
+// Pages: network first, then the offline page. It is served at the requested URL,
+// so reloading it tries the real page again.
+async function handleNavigation(request) {
+  try {
+    return await fetch(request);
+  } catch (error) {
+    return await caches.match(OFFLINE_PAGE) || Response.error();
+  }
+}
+
+// Scripts and other shell files: network first so edits show up straight away
+async function handleShellFile(request) {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(SHELL_CACHE);
+      await cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    return await caches.match(request, { ignoreSearch: true }) || Response.error();
+  }
+}
+
+// Images never change for a given URL, so a cached copy is always good
+async function handleImage(request) {
+  const cache = await caches.open(IMAGE_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  // <img> requests are no-cors, so most responses are opaque (status 0) but still usable
+  if (response.ok || response.type === 'opaque') {
+    await cache.put(request, response.clone());
+    trimCache(cache, IMAGE_CACHE_LIMIT);
+  }
+  return response;
+}
+
+// Serve the cached copy straight away and update it in the background
+async function handleTailwind(request, event) {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request);
+
+  const update = fetch(request)
+    .then(async response => {
+      await cache.put(request, response.clone());
+      return response;
+    });
+
+  if (cached) {
+    event.waitUntil(update.catch(() => {}));
+    return cached;
+  }
+  return update;
+}
+
+// Keys come back in insertion order, so the oldest entries are dropped first
+async function trimCache(cache, limit) {
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - limit)).map(key => cache.delete(key)));
+}
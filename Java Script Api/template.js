@@ -0,0 +1,137 @@
+// DOM Templating
+// A small helper for building markup from API data without opening the door to
+// injected HTML. Everything interpolated into an html`` template is escaped
+// unless it is itself a template result (or explicitly marked with trustedHtml):
+//
+//   html`<h2>${restaurant.info.name}</h2>`        // "<b>Pizza</b>" shows as text
+//   html`<ul>${items.map(item => html`<li>${item}</li>`)}</ul>`
+//
+// patchList() then keeps a container's children in sync with a list, touching
+// only the elements whose markup actually changed.
+
+// Markup that is already safe to insert, e.g. the result of an html`` template
+class SafeHtml {
+  constructor(markup) {
+    this.markup = markup;
+  }
+
+  toString() {
+    return this.markup;
+  }
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Mark a string we built ourselves (and already escaped) as safe markup
+function trustedHtml(markup) {
+  return new SafeHtml(String(markup));
+}
+
+function renderTemplateValue(value) {
+  if (value instanceof SafeHtml) return value.markup;
+  if (Array.isArray(value)) return value.map(renderTemplateValue).join('');
+  if (value === null || value === undefined || value === false) return '';
+  return escapeHtml(value);
+}
+
+// Tagged template: static parts are kept as written, values are escaped
+function html(strings, ...values) {
+  let markup = strings[0];
+  values.forEach((value, index) => {
+    markup += renderTemplateValue(value) + strings[index + 1];
+  });
+  return new SafeHtml(markup);
+}
+
+// One element from a template with a single root element
+function createElementFromHtml(markup) {
+  const template = document.createElement('template');
+  template.innerHTML = String(markup).trim();
+  return template.content.firstElementChild;
+}
+
+// An image id from the API may only be a relative path ("abc/def.png", with
+// %-escapes allowed); anything else (other hosts, "javascript:", "../") is refused.
+// Returns the full URL, or null if the id can't be used.
+const IMAGE_PATH_PATTERN = /^(?:[\w.-]|%[0-9A-Fa-f]{2})+(?:\/(?:[\w.-]|%[0-9A-Fa-f]{2})+)*$/;
+
+function buildImageUrl(baseUrl, imageId) {
+  if (typeof imageId !== 'string' || !IMAGE_PATH_PATTERN.test(imageId)) return null;
+  if (imageId.split('/').some(segment => segment === '.' || segment === '..')) return null;
+
+  const base = new URL(baseUrl);
+  const url = new URL(imageId, base);
+  if (base.protocol !== 'https:' || url.origin !== base.origin || !url.href.startsWith(base.href)) {
+    return null;
+  }
+
+  return url.href;
+}
+
+// container -> Map(key -> { element, markup }) of what patchList rendered last time
+const patchedLists = new WeakMap();
+
+// Child indexes leading from root down to element, e.g. [2, 0, 1]
+function getElementPath(root, element) {
+  const path = [];
+  for (let node = element; node !== root; node = node.parentElement) {
+    path.unshift([...node.parentElement.children].indexOf(node));
+  }
+  return path;
+}
+
+function findElementByPath(root, path) {
+  return path.reduce((node, index) => node && node.children[index], root);
+}
+
+// Make container's children one element per item, in order. Items whose markup is
+// unchanged keep their existing element, so images don't reload and nothing flashes.
+// If a redrawn element had keyboard focus, focus moves to the same spot in its replacement.
+function patchList(container, items, getKey, render) {
+  const previous = patchedLists.get(container) || new Map();
+  const next = new Map();
+  const focused = document.activeElement;
+  let focusRestore = null;
+
+  const elements = items.map(item => {
+    const key = String(getKey(item));
+    const markup = String(render(item));
+    const existing = previous.get(key);
+    const isUnchanged = existing && existing.markup === markup;
+    const element = isUnchanged ? existing.element : createElementFromHtml(markup);
+
+    if (existing && !isUnchanged && existing.element.contains(focused)) {
+      focusRestore = { element, path: getElementPath(existing.element, focused) };
+    }
+
+    next.set(key, { element, markup });
+    return element;
+  });
+
+  const wanted = new Set(elements);
+  [...container.children].forEach(child => {
+    if (!wanted.has(child)) child.remove();
+  });
+
+  // Insert new elements and move reordered ones; elements already in place are skipped
+  elements.forEach((element, index) => {
+    const current = container.children[index];
+    if (current !== element) {
+      container.insertBefore(element, current || null);
+    }
+  });
+
+  patchedLists.set(container, next);
+
+  if (focusRestore) {
+    const target = findElementByPath(focusRestore.element, focusRestore.path);
+    if (target) target.focus({ preventScroll: true });
+  }
+}
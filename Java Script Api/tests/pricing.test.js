@@ -0,0 +1,161 @@
+// Tests for pricing.js. Run with `npm test` from the "Java Script Api" folder.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  PRICING_RULES,
+  parseOffer,
+  calculateSubtotal,
+  calculateDiscount,
+  calculateDeliveryFee,
+  calculateOrderTotals
+} = require('../pricing.js');
+
+test('parseOffer reads flat offers with a minimum order', () => {
+  assert.deepEqual(parseOffer({ header: '₹125 OFF', subHeader: 'ABOVE ₹199' }), {
+    type: 'flat',
+    amount: 125,
+    minOrder: 199
+  });
+});
+
+test('parseOffer reads percent offers with a cap', () => {
+  assert.deepEqual(parseOffer({ header: '50% OFF', subHeader: 'UPTO ₹100' }), {
+    type: 'percent',
+    percent: 50,
+    maxDiscount: 100,
+    minOrder: 0
+  });
+});
+
+test('parseOffer understands amounts with thousands separators', () => {
+  assert.deepEqual(parseOffer({ header: '₹1,250 OFF', subHeader: 'ABOVE ₹2,999' }), {
+    type: 'flat',
+    amount: 1250,
+    minOrder: 2999
+  });
+});
+
+test('parseOffer returns null for offers it cannot apply to a bill', () => {
+  assert.equal(parseOffer({ header: 'ITEMS AT ₹129', subHeader: '' }), null);
+  assert.equal(parseOffer({ header: 'FREE DELIVERY' }), null);
+  assert.equal(parseOffer({ header: '' }), null);
+  assert.equal(parseOffer(null), null);
+  assert.equal(parseOffer(undefined), null);
+});
+
+test('calculateSubtotal multiplies price by quantity', () => {
+  assert.equal(calculateSubtotal([{ price: 179, quantity: 2 }, { price: 99, quantity: 1 }]), 457);
+});
+
+test('calculateSubtotal adds in paise, so decimals come out exact', () => {
+  assert.equal(calculateSubtotal([{ price: 0.1, quantity: 1 }, { price: 0.2, quantity: 1 }]), 0.3);
+  assert.equal(calculateSubtotal([{ price: 10.1, quantity: 3 }]), 30.3);
+});
+
+test('calculateSubtotal of an empty cart is 0', () => {
+  assert.equal(calculateSubtotal([]), 0);
+});
+
+test('calculateDiscount applies an offer only from its minimum order', () => {
+  const offer = parseOffer({ header: '₹125 OFF', subHeader: 'ABOVE ₹199' });
+  assert.equal(calculateDiscount(198.99, offer), 0);
+  assert.equal(calculateDiscount(199, offer), 125);
+  assert.equal(calculateDiscount(300, offer), 125);
+});
+
+test('calculateDiscount caps percent offers at their UPTO amount', () => {
+  const offer = parseOffer({ header: '50% OFF', subHeader: 'UPTO ₹100' });
+  assert.equal(calculateDiscount(150, offer), 75);
+  assert.equal(calculateDiscount(200, offer), 100);
+  assert.equal(calculateDiscount(1000, offer), 100);
+});
+
+test('calculateDiscount rounds percent discounts to the nearest paisa', () => {
+  const offer = parseOffer({ header: '15% OFF' });
+  assert.equal(calculateDiscount(99.99, offer), 15);
+  assert.equal(calculateDiscount(0.3, offer), 0.05);
+});
+
+test('calculateDiscount never exceeds the subtotal', () => {
+  const offer = parseOffer({ header: '₹125 OFF' });
+  assert.equal(calculateDiscount(80, offer), 80);
+});
+
+test('calculateDiscount is 0 without an offer or for an empty cart', () => {
+  assert.equal(calculateDiscount(300, null), 0);
+  assert.equal(calculateDiscount(0, parseOffer({ header: '₹125 OFF' })), 0);
+});
+
+test('calculateDeliveryFee is waived from exactly freeDeliveryAbove', () => {
+  assert.equal(calculateDeliveryFee(PRICING_RULES.freeDeliveryAbove - 0.01), PRICING_RULES.deliveryFee);
+  assert.equal(calculateDeliveryFee(PRICING_RULES.freeDeliveryAbove), 0);
+  assert.equal(calculateDeliveryFee(PRICING_RULES.freeDeliveryAbove + 1), 0);
+});
+
+test('calculateDeliveryFee is 0 when there is nothing to deliver', () => {
+  assert.equal(calculateDeliveryFee(0), 0);
+});
+
+test('calculateDeliveryFee follows custom rules', () => {
+  assert.equal(calculateDeliveryFee(150, { deliveryFee: 25, freeDeliveryAbove: 200 }), 25);
+  assert.equal(calculateDeliveryFee(200, { deliveryFee: 25, freeDeliveryAbove: 200 }), 0);
+});
+
+test('calculateOrderTotals puts the whole bill together', () => {
+  const totals = calculateOrderTotals(
+    [{ price: 179, quantity: 2 }, { price: 99, quantity: 1 }],
+    parseOffer({ header: '₹125 OFF', subHeader: 'ABOVE ₹199' })
+  );
+  assert.deepEqual(totals, { itemCount: 3, subtotal: 457, discount: 125, deliveryFee: 40, total: 372 });
+});
+
+test('calculateOrderTotals checks free delivery after the discount', () => {
+  const items = [{ price: 549, quantity: 1 }];
+  assert.equal(calculateOrderTotals(items).deliveryFee, 0);
+  assert.deepEqual(calculateOrderTotals(items, parseOffer({ header: '₹50 OFF' })), {
+    itemCount: 1,
+    subtotal: 549,
+    discount: 50,
+    deliveryFee: 0,
+    total: 499
+  });
+  assert.equal(calculateOrderTotals(items, parseOffer({ header: '₹51 OFF' })).deliveryFee, 40);
+});
+
+test('calculateOrderTotals keeps paise exact', () => {
+  assert.deepEqual(calculateOrderTotals([{ price: 0.1, quantity: 1 }, { price: 0.2, quantity: 1 }]), {
+    itemCount: 2,
+    subtotal: 0.3,
+    discount: 0,
+    deliveryFee: 40,
+    total: 40.3
+  });
+});
+
+test('calculateOrderTotals charges nothing when the discount covers the subtotal', () => {
+  assert.deepEqual(calculateOrderTotals([{ price: 60, quantity: 1 }], parseOffer({ header: '₹125 OFF' })), {
+    itemCount: 1,
+    subtotal: 60,
+    discount: 60,
+    deliveryFee: 0,
+    total: 0
+  });
+});
+
+test('calculateOrderTotals of an empty cart is all zeros', () => {
+  assert.deepEqual(calculateOrderTotals([], parseOffer({ header: '50% OFF', subHeader: 'UPTO ₹100' })), {
+    itemCount: 0,
+    subtotal: 0,
+    discount: 0,
+    deliveryFee: 0,
+    total: 0
+  });
+});
+
+test('calculateOrderTotals ignores offers that could not be parsed', () => {
+  const totals = calculateOrderTotals([{ price: 200, quantity: 1 }], parseOffer({ header: 'ITEMS AT ₹129' }));
+  assert.equal(totals.discount, 0);
+  assert.equal(totals.total, 240);
+});
@@ -1,8 +1,7 @@
 // JavaScript Timing Functions & Date Examples
 
 // ======= Current Date & Time =======
-function updateCurrentDate() {
-    const now = new Date(); // Create a new Date object with current date/time
+function updateCurrentDate(now = new Date()) { // Defaults to a new Date object with current date/time
     const dateDisplay = document.getElementById('date-display');
     
     // Format the date as a string
@@ -31,11 +30,6 @@ function updateCurrentDate() {
     console.log('Timestamp (ms since Jan 1, 1970):', now.getTime());
 }
 
-// Initial call
-updateCurrentDate();
-// Update every second
-setInterval(updateCurrentDate, 1000);
-
 // ======= setTimeout Example =======
 const timeoutDisplay = document.getElementById('timeout-display');
 const timeoutBtn = document.getElementById('timeout-btn');
@@ -91,8 +85,7 @@ stopIntervalBtn.addEventListener('click', () => {
 });
 
 // ======= Digital Clock Example =======
-function updateClock() {
-    const now = new Date();
+function updateClock(now = new Date()) {
     const hours = now.getHours().toString().padStart(2, '0');
     const minutes = now.getMinutes().toString().padStart(2, '0');
     const seconds = now.getSeconds().toString().padStart(2, '0');
@@ -101,10 +94,14 @@ function updateClock() {
     document.getElementById('clock-display').textContent = `${hours}:${minutes}:${seconds}`;
 }
 
-// Initial call to avoid delay on page load
-updateClock();
-// Update clock every second
-setInterval(updateClock, 1000);
+// createClockScheduler (from ../Clock/scheduler.js) calls this right away, then at
+// the start of every wall-clock second. setInterval(fn, 1000) would drift: each
+// call runs a little late, so the display changes part-way through a second.
+const clockScheduler = createClockScheduler((now) => {
+    updateCurrentDate(now);
+    updateClock(now);
+});
+clockScheduler.start();
 
 // ======= Countdown Timer Example =======
 const countdownDisplay = document.getElementById('countdown-display');
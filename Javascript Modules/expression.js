@@ -0,0 +1,291 @@
+// expression.js
+// Reads expressions like "(2 + 3) * 4 / 2" and works them out with math.js, so the
+// answers get the same exact decimals, BigInt support and typed errors.
+//
+//   evaluate("(2 + 3) * 4 / 2")        -> 10
+//   evaluate("0.1 + 0.2")              -> 0.3
+//   evaluate("r = 2")                  -> 2, and r is remembered in the scope
+//   evaluate("pi * pow(r, 2)", scope)  -> 12.566370614359172
+//   evaluate("2n ^ 64")                -> 18446744073709551616n
+//
+// It works in three steps: tokenize() splits the text into numbers, names and
+// symbols; parse() builds a tree from them with a Pratt parser (each operator has a
+// binding power, so * binds tighter than +); evaluate() walks the tree.
+// Every error is an ExpressionError whose `position` is the index of the character
+// where things went wrong.
+
+import { add, subtract, multiply, divide, MathError, PI, TAU, E } from "./math.js";
+
+export class ExpressionError extends MathError {
+  constructor(message, position, code = 'SYNTAX') {
+    super(`${message} (at position ${position + 1})`, code);
+    this.name = 'ExpressionError';
+    this.position = position;
+  }
+}
+
+export const CONSTANTS = { pi: PI, tau: TAU, e: E };
+
+// Largest BigInt power worked out, in bits (about 300,000 digits); bigger ones
+// would lock up the page for seconds or minutes
+const MAX_POWER_BITS = 1000000;
+
+function overflow(base, exponent) {
+  const show = value => {
+    const text = typeof value === 'bigint' ? `${value}n` : String(value);
+    return Number(value) < 0 ? `(${text})` : text;
+  };
+  return new MathError(`${show(base)} ^ ${show(exponent)} is too large to work out`, 'OVERFLOW');
+}
+
+// Whole powers are multiplied out, so they stay exact: pow(1.1, 2) -> 1.21
+function power(base, exponent) {
+  const isWhole = typeof exponent === 'bigint' || Number.isInteger(Number(exponent));
+  if (!isWhole) {
+    if (typeof base === 'bigint') {
+      throw new MathError("Can't raise a BigInt to a fractional power", 'MIXED_TYPES');
+    }
+    const result = Math.pow(Number(base), Number(exponent));
+    if (!Number.isFinite(result) && Number.isFinite(Number(base))) throw overflow(base, exponent);
+    return result;
+  }
+
+  let remaining = BigInt(exponent);
+  if (remaining < 0n) return divide(1, power(base, -remaining));
+
+  // 0n, 1n and -1n stay small however high the power
+  if (typeof base === 'bigint') {
+    const bits = BigInt((base < 0n ? -base : base).toString(2).length - 1);
+    if (bits * remaining > MAX_POWER_BITS) throw overflow(base, exponent);
+  }
+
+  let result = typeof base === 'bigint' ? 1n : 1;
+  let factor = base;
+  while (remaining > 0n) {
+    if (remaining % 2n === 1n) result = multiply(result, factor);
+    remaining /= 2n;
+    if (remaining > 0n) factor = multiply(factor, factor);
+    // A number past 1.8e308 becomes Infinity, which math.js won't take back in
+    if (result === Infinity || result === -Infinity || factor === Infinity) throw overflow(base, exponent);
+  }
+  return result;
+}
+
+function squareRoot(value) {
+  if (Number(value) < 0) throw new MathError("Can't take the square root of a negative number", 'NEGATIVE_SQRT');
+  return Math.sqrt(Number(value));
+}
+
+export const FUNCTIONS = {
+  sqrt: { arity: 1, call: squareRoot },
+  pow: { arity: 2, call: power },
+  abs: { arity: 1, call: value => (Number(value) < 0 ? subtract(0, value) : value) }
+};
+
+// Tokenizer
+
+const NUMBER_PATTERN = /(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?n?/y;
+const NAME_PATTERN = /[A-Za-z_]\w*/y;
+const SYMBOLS = '+-*/^(),=';
+
+// "2 * x" -> [{ type: 'number', value: 2, position: 0 }, { type: '*', position: 2 }, ...]
+export function tokenize(source) {
+  const tokens = [];
+  let position = 0;
+
+  while (position < source.length) {
+    const char = source[position];
+
+    if (/\s/.test(char)) {
+      position++;
+      continue;
+    }
+
+    NUMBER_PATTERN.lastIndex = position;
+    NAME_PATTERN.lastIndex = position;
+    const number = NUMBER_PATTERN.exec(source);
+    const name = number ? null : NAME_PATTERN.exec(source);
+
+    if (number) {
+      const text = number[0];
+      if (text.endsWith('n') && !/^\d+n$/.test(text)) {
+        throw new ExpressionError(`"${text}" isn't a valid BigInt`, position);
+      }
+      tokens.push({ type: 'number', value: text.endsWith('n') ? BigInt(text.slice(0, -1)) : Number(text), position });
+      position += text.length;
+    } else if (name) {
+      tokens.push({ type: 'name', value: name[0], position });
+      position += name[0].length;
+    } else if (SYMBOLS.includes(char)) {
+      tokens.push({ type: char, position });
+      position++;
+    } else {
+      throw new ExpressionError(`Unexpected character "${char}"`, position);
+    }
+  }
+
+  tokens.push({ type: 'end', position: source.length });
+  return tokens;
+}
+
+// Parser
+
+// How tightly each infix operator binds; ^ is right-associative (2^3^2 = 2^9)
+const BINARY_OPERATORS = {
+  '+': { power: 10 },
+  '-': { power: 10 },
+  '*': { power: 20 },
+  '/': { power: 20 },
+  '^': { power: 30, rightAssociative: true }
+};
+const PREFIX_POWER = 25; // -2^2 is -(2^2), but -2*3 is (-2)*3
+
+function describeToken(token) {
+  if (token.type === 'end') return 'end of expression';
+  if (token.type === 'number' || token.type === 'name') return `"${token.value}"`;
+  return `"${token.type}"`;
+}
+
+// Tokens -> tree of { type: 'number' | 'variable' | 'unary' | 'binary' | 'call' | 'assign', ... }
+export function parse(source) {
+  const tokens = tokenize(source);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+
+  function expect(type) {
+    const token = next();
+    if (token.type !== type) {
+      throw new ExpressionError(`Expected "${type}" but found ${describeToken(token)}`, token.position);
+    }
+    return token;
+  }
+
+  function parsePrefix() {
+    const token = next();
+
+    switch (token.type) {
+      case 'number':
+        return { type: 'number', value: token.value, position: token.position };
+      case 'name':
+        if (peek().type === '(') return parseCall(token);
+        return { type: 'variable', name: token.value, position: token.position };
+      case '(': {
+        const inner = parseExpression(0);
+        expect(')');
+        return inner;
+      }
+      case '-':
+      case '+':
+        return { type: 'unary', operator: token.type, operand: parseExpression(PREFIX_POWER), position: token.position };
+      default:
+        throw new ExpressionError(`Unexpected ${describeToken(token)}`, token.position);
+    }
+  }
+
+  function parseCall(nameToken) {
+    expect('(');
+    const args = [];
+    if (peek().type !== ')') {
+      args.push(parseExpression(0));
+      while (peek().type === ',') {
+        next();
+        args.push(parseExpression(0));
+      }
+    }
+    expect(')');
+    return { type: 'call', name: nameToken.value, args, position: nameToken.position };
+  }
+
+  // Pratt loop: keep absorbing operators that bind tighter than minPower
+  function parseExpression(minPower) {
+    let left = parsePrefix();
+
+    while (BINARY_OPERATORS[peek().type]) {
+      const { power, rightAssociative } = BINARY_OPERATORS[peek().type];
+      if (power <= minPower) break;
+
+      const operator = next();
+      const right = parseExpression(rightAssociative ? power - 1 : power);
+      left = { type: 'binary', operator: operator.type, left, right, position: operator.position };
+    }
+
+    return left;
+  }
+
+  // "name = expression" is only allowed as a whole statement
+  let tree;
+  if (peek().type === 'name' && tokens[index + 1].type === '=') {
+    const name = next();
+    next();
+    tree = { type: 'assign', name: name.value, value: parseExpression(0), position: name.position };
+  } else {
+    tree = parseExpression(0);
+  }
+
+  const leftover = peek();
+  if (leftover.type !== 'end') {
+    throw new ExpressionError(`Unexpected ${describeToken(leftover)}`, leftover.position);
+  }
+  return tree;
+}
+
+// Evaluator
+
+const OPERATIONS = { '+': add, '-': subtract, '*': multiply, '/': divide, '^': power };
+
+// Run fn, turning math.js errors into ExpressionErrors that point at the operator
+function at(position, fn) {
+  try {
+    return fn();
+  } catch (error) {
+    if (error instanceof ExpressionError || !(error instanceof MathError)) throw error;
+    const wrapped = new ExpressionError(error.message, position, error.code);
+    wrapped.cause = error;
+    throw wrapped;
+  }
+}
+
+function evaluateNode(node, scope) {
+  switch (node.type) {
+    case 'number':
+      return node.value;
+    case 'variable':
+      if (Object.hasOwn(scope, node.name)) return scope[node.name];
+      if (Object.hasOwn(CONSTANTS, node.name)) return CONSTANTS[node.name];
+      throw new ExpressionError(`Unknown variable "${node.name}"`, node.position, 'UNKNOWN_VARIABLE');
+    case 'unary': {
+      const operand = evaluateNode(node.operand, scope);
+      return node.operator === '-' ? at(node.position, () => subtract(0, operand)) : operand;
+    }
+    case 'binary': {
+      const left = evaluateNode(node.left, scope);
+      const right = evaluateNode(node.right, scope);
+      return at(node.position, () => OPERATIONS[node.operator](left, right));
+    }
+    case 'call': {
+      const fn = FUNCTIONS[node.name];
+      if (!fn) throw new ExpressionError(`Unknown function "${node.name}"`, node.position, 'UNKNOWN_FUNCTION');
+      if (node.args.length !== fn.arity) {
+        throw new ExpressionError(`${node.name}() takes ${fn.arity} argument${fn.arity === 1 ? '' : 's'}, got ${node.args.length}`, node.position, 'ARGUMENT_COUNT');
+      }
+      const args = node.args.map(arg => evaluateNode(arg, scope));
+      return at(node.position, () => fn.call(...args));
+    }
+    case 'assign': {
+      if (Object.hasOwn(CONSTANTS, node.name) || Object.hasOwn(FUNCTIONS, node.name)) {
+        throw new ExpressionError(`"${node.name}" is built in and can't be assigned`, node.position, 'READ_ONLY');
+      }
+      scope[node.name] = evaluateNode(node.value, scope);
+      return scope[node.name];
+    }
+    default:
+      throw new Error(`Unknown node type: ${node.type}`);
+  }
+}
+
+// Work out an expression. Assignments ("x = 2") are stored in scope for later ones.
+export function evaluate(source, scope = {}) {
+  return evaluateNode(parse(source), scope);
+}
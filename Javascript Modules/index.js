@@ -0,0 +1,9 @@
+// index.js
+// One place to import everything from:
+//
+//   import { add, mean, determinant } from "./index.js";
+
+export * from "./math.js";
+export { default } from "./math.js";
+export * from "./statistics.js";
+export * from "./matrix.js";
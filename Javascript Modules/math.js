@@ -1,20 +1,190 @@
 // math.js
-const PI = 3.14159;
+// Arithmetic that doesn't suffer from floating point surprises:
+//
+//   add(0.1, 0.2)          -> 0.3  (plain JS gives 0.30000000000000004)
+//   multiply(1.1, 1.1)     -> 1.21
+//   add(2n ** 64n, 1n)     -> 18446744073709551617n
+//   divide(1, 0)           -> throws DivisionByZeroError
+//   add("abc", 1)          -> throws NonNumericError
+//
+// Numbers (and numeric strings like "0.1") are worked on as exact decimals: 0.1 is
+// taken to mean exactly 1/10, not the nearest binary fraction. The result is turned
+// back into a number once, at the end.
+//
+// BigInts stay BigInts. A BigInt can be combined with an integer number; mixing it
+// with a fraction throws, because the answer wouldn't fit either type exactly.
+// Like JavaScript itself, dividing BigInts rounds toward zero (7n / 2n -> 3n).
+
+export const PI = Math.PI;
+export const TAU = 2 * Math.PI;
+export const E = Math.E;
+
+// Extra digits kept when a division doesn't come out exact (well past what a number can hold)
+const DIVISION_DIGITS = 20;
+
+// Largest exponent accepted in "1e308"-style input. Numbers only reach about
+// 1e308 (and down to 5e-324), and "1e1000000000" would otherwise build a BigInt
+// a billion digits long and freeze the page.
+const MAX_EXPONENT = 1000;
+
+export class MathError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'MathError';
+    this.code = code;
+  }
+}
+
+export class DivisionByZeroError extends MathError {
+  constructor() {
+    super('Division by zero', 'DIVISION_BY_ZERO');
+    this.name = 'DivisionByZeroError';
+  }
+}
+
+export class NonNumericError extends MathError {
+  constructor(value) {
+    super(`Expected a number, got ${describe(value)}`, 'NON_NUMERIC');
+    this.name = 'NonNumericError';
+    this.value = value;
+  }
+}
+
+function describe(value) {
+  if (typeof value === 'string') return `"${value}"`;
+  if (typeof value === 'number' || typeof value === 'bigint') return String(value);
+  return value === null ? 'null' : typeof value;
+}
+
+// "-1.25e-3" -> { digits: -125n, scale: 5 }, i.e. -125 / 10^5
+const DECIMAL_PATTERN = /^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i;
+
+function toDecimal(value) {
+  const text = typeof value === 'string' ? value.trim() : String(value);
+  const match = text.match(DECIMAL_PATTERN);
+  if (!match || (match[2] === '' && !match[3])) throw new NonNumericError(value);
+
+  const [, sign, whole, fraction = '', exponent = '0'] = match;
+  if (Math.abs(Number(exponent)) > MAX_EXPONENT) {
+    throw new MathError(`The exponent in ${describe(value)} is out of range (at most ${MAX_EXPONENT})`, 'OUT_OF_RANGE');
+  }
+  let digits = BigInt(`${sign}${whole}${fraction}` || '0');
+  let scale = fraction.length - Number(exponent);
+
+  if (scale < 0) {
+    digits *= 10n ** BigInt(-scale);
+    scale = 0;
+  }
+  return { digits, scale };
+}
+
+function toNumber({ digits, scale }) {
+  const negative = digits < 0n;
+  const text = (negative ? -digits : digits).toString().padStart(scale + 1, '0');
+  const point = text.length - scale;
+  return Number(`${negative ? '-' : ''}${text.slice(0, point)}.${text.slice(point) || '0'}`);
+}
+
+// Both decimals over the same power of ten
+function align(a, b) {
+  const scale = Math.max(a.scale, b.scale);
+  return [
+    a.digits * 10n ** BigInt(scale - a.scale),
+    b.digits * 10n ** BigInt(scale - b.scale),
+    scale
+  ];
+}
+
+// Check the inputs and decide how to compute: 'bigint' or 'decimal'
+function getMode(a, b) {
+  [a, b].forEach(value => {
+    const isNumeric = typeof value === 'bigint' ||
+      (typeof value === 'number' && Number.isFinite(value)) ||
+      (typeof value === 'string' && DECIMAL_PATTERN.test(value.trim()) && /\d/.test(value));
+    if (!isNumeric) throw new NonNumericError(value);
+  });
+
+  if (typeof a !== 'bigint' && typeof b !== 'bigint') return 'decimal';
+
+  const other = typeof a === 'bigint' ? b : a;
+  if (typeof other === 'bigint' || isWholeDecimal(toDecimal(other))) return 'bigint';
+  throw new MathError(`Can't mix a BigInt with the fraction ${describe(other)}`, 'MIXED_TYPES');
+}
+
+function isWholeDecimal({ digits, scale }) {
+  return digits % 10n ** BigInt(scale) === 0n;
+}
+
+// Only called for whole values (see getMode)
+function toBigInt(value) {
+  if (typeof value === 'bigint') return value;
+  const { digits, scale } = toDecimal(value);
+  return digits / 10n ** BigInt(scale);
+}
+
+function calculate(a, b, bigintOperation, decimalOperation) {
+  if (getMode(a, b) === 'bigint') {
+    return bigintOperation(toBigInt(a), toBigInt(b));
+  }
+  return toNumber(decimalOperation(toDecimal(a), toDecimal(b)));
+}
+
+function plus(a, b) {
+  return calculate(a, b, (x, y) => x + y, (x, y) => {
+    const [xDigits, yDigits, scale] = align(x, y);
+    return { digits: xDigits + yDigits, scale };
+  });
+}
 
 export function add(a, b) {
   console.log("Add method called");
-  return a + b;
+  return plus(a, b);
 }
 
 export function subtract(a, b) {
-  console.log("Subtract method called");  
-  return a - b;
+  console.log("Subtract method called");
+  return calculate(a, b, (x, y) => x - y, (x, y) => {
+    const [xDigits, yDigits, scale] = align(x, y);
+    return { digits: xDigits - yDigits, scale };
+  });
 }
 
 // You can also export multiple items at once
-const multiply = (a, b) => a * b;
-const divide = (a, b) => a / b;
+const multiply = (a, b) => calculate(a, b,
+  (x, y) => x * y,
+  (x, y) => ({ digits: x.digits * y.digits, scale: x.scale + y.scale }));
+
+const divide = (a, b) => calculate(a, b,
+  (x, y) => {
+    if (y === 0n) throw new DivisionByZeroError();
+    return x / y;
+  },
+  (x, y) => {
+    if (y.digits === 0n) throw new DivisionByZeroError();
+
+    // x / y = (x.digits * 10^y.scale) / (y.digits * 10^x.scale), computed with enough
+    // extra digits that the rounding happens well below what a number can show
+    const extra = DIVISION_DIGITS + y.digits.toString().length + x.scale;
+    const numerator = x.digits * 10n ** BigInt(y.scale + extra);
+    const denominator = y.digits * 10n ** BigInt(x.scale);
+    let quotient = numerator / denominator;
+
+    // Round half away from zero on the digit we cut off
+    const remainder = numerator % denominator;
+    const twice = 2n * (remainder < 0n ? -remainder : remainder);
+    if (twice >= (denominator < 0n ? -denominator : denominator)) {
+      quotient += (numerator < 0n) === (denominator < 0n) ? 1n : -1n;
+    }
+    return { digits: quotient, scale: extra };
+  });
+
+// Adds up a whole list exactly: sum([0.1, 0.2, 0.3]) -> 0.6. An empty list sums to 0.
+export function sum(values) {
+  console.log("Sum method called");
+  if (!Array.isArray(values)) throw new NonNumericError(values);
+  return values.reduce((total, value) => plus(total, value), 0);
+}
 
 export { multiply, divide };
 
-export default PI;
\ No newline at end of file
+export default PI;
@@ -0,0 +1,128 @@
+// matrix.js
+// Vectors and matrices, worked out with math.js so decimal entries stay exact.
+// A vector is an array of numbers; a matrix is an array of equally long rows.
+//
+//   dot([1, 2, 3], [4, 5, 6])                   -> 32
+//   transpose([[1, 2, 3], [4, 5, 6]])           -> [[1, 4], [2, 5], [3, 6]]
+//   matrixMultiply([[1, 2], [3, 4]], [[5], [6]]) -> [[17], [39]]
+//   determinant([[1, 2], [3, 4]])               -> -2
+//   inverse([[4, 7], [2, 6]])                   -> [[0.6, -0.7], [-0.2, 0.4]]
+//
+// Shapes that don't fit together throw a MathError with code 'DIMENSION_MISMATCH';
+// inverting a matrix whose determinant is 0 throws one with code 'SINGULAR_MATRIX'.
+
+import { sum, subtract, multiply, divide, MathError } from "./math.js";
+
+function checkVector(vector) {
+  if (!Array.isArray(vector) || vector.length === 0) {
+    throw new MathError('Expected a non-empty array as a vector', 'NOT_A_VECTOR');
+  }
+}
+
+// Returns [rows, columns]
+function checkMatrix(matrix) {
+  const isMatrix = Array.isArray(matrix) && matrix.length > 0 &&
+    matrix.every(row => Array.isArray(row) && row.length > 0 && row.length === matrix[0].length);
+  if (!isMatrix) throw new MathError('Expected a matrix: a non-empty array of equally long rows', 'NOT_A_MATRIX');
+  return [matrix.length, matrix[0].length];
+}
+
+function checkSquare(matrix) {
+  const [rows, columns] = checkMatrix(matrix);
+  if (rows !== columns) throw new MathError(`Expected a square matrix, got ${rows}x${columns}`, 'NOT_SQUARE');
+  return rows;
+}
+
+function isZero(value) {
+  return typeof value === 'bigint' ? value === 0n : Number(value) === 0;
+}
+
+export function dot(a, b) {
+  checkVector(a);
+  checkVector(b);
+  if (a.length !== b.length) {
+    throw new MathError(`Can't take the dot product of vectors of length ${a.length} and ${b.length}`, 'DIMENSION_MISMATCH');
+  }
+  return sum(a.map((value, i) => multiply(value, b[i])));
+}
+
+export function transpose(matrix) {
+  const [rows, columns] = checkMatrix(matrix);
+  return Array.from({ length: columns }, (_, column) =>
+    Array.from({ length: rows }, (_, row) => matrix[row][column]));
+}
+
+export function matrixMultiply(a, b) {
+  const [rows, inner] = checkMatrix(a);
+  const [innerB, columns] = checkMatrix(b);
+  if (inner !== innerB) {
+    throw new MathError(`Can't multiply a ${rows}x${inner} matrix by a ${innerB}x${columns} one`, 'DIMENSION_MISMATCH');
+  }
+  return a.map(row =>
+    Array.from({ length: columns }, (_, column) =>
+      sum(row.map((value, k) => multiply(value, b[k][column])))));
+}
+
+// Bareiss elimination: every division comes out exact, so BigInt matrices keep
+// an exact BigInt determinant
+export function determinant(matrix) {
+  const size = checkSquare(matrix);
+  // Run through math.js so a non-numeric entry still throws
+  if (size === 1) return multiply(matrix[0][0], 1);
+
+  const m = matrix.map(row => [...row]);
+  let sign = 1;
+  let previousPivot = 1;
+
+  for (let k = 0; k < size - 1; k++) {
+    if (isZero(m[k][k])) {
+      const swap = m.findIndex((row, i) => i > k && !isZero(row[k]));
+      if (swap === -1) return typeof m[0][0] === 'bigint' ? 0n : 0;
+      [m[k], m[swap]] = [m[swap], m[k]];
+      sign = -sign;
+    }
+
+    for (let i = k + 1; i < size; i++) {
+      for (let j = k + 1; j < size; j++) {
+        m[i][j] = divide(subtract(multiply(m[i][j], m[k][k]), multiply(m[i][k], m[k][j])), previousPivot);
+      }
+    }
+    previousPivot = m[k][k];
+  }
+
+  const result = m[size - 1][size - 1];
+  return sign === 1 ? result : subtract(0, result);
+}
+
+// Gauss-Jordan elimination with partial pivoting. BigInt entries are turned into
+// numbers first, since an inverse is rarely whole.
+export function inverse(matrix) {
+  const size = checkSquare(matrix);
+  const m = matrix.map((row, i) => [
+    ...row.map(value => (typeof value === 'bigint' ? Number(value) : value)),
+    ...Array.from({ length: size }, (_, j) => (i === j ? 1 : 0))
+  ]);
+
+  for (let k = 0; k < size; k++) {
+    // The largest entry in the column makes the steadiest pivot
+    let pivotRow = k;
+    for (let i = k + 1; i < size; i++) {
+      if (Math.abs(Number(m[i][k])) > Math.abs(Number(m[pivotRow][k]))) pivotRow = i;
+    }
+    if (isZero(m[pivotRow][k])) {
+      throw new MathError("The matrix is singular (its determinant is 0), so it has no inverse", 'SINGULAR_MATRIX');
+    }
+    [m[k], m[pivotRow]] = [m[pivotRow], m[k]];
+
+    const pivot = m[k][k];
+    m[k] = m[k].map(value => divide(value, pivot));
+
+    for (let i = 0; i < size; i++) {
+      if (i === k || isZero(m[i][k])) continue;
+      const factor = m[i][k];
+      m[i] = m[i].map((value, j) => subtract(value, multiply(factor, m[k][j])));
+    }
+  }
+
+  return m.map(row => row.slice(size));
+}
@@ -0,0 +1,84 @@
+// repl.js
+// A small read-eval-print loop for expression.js: type a line, see the answer.
+// Variables assigned with "x = ..." are kept for later lines, and `ans` is always
+// the last answer.
+
+import { evaluate, ExpressionError } from "./expression.js";
+
+const historyElement = document.getElementById("repl-history");
+const form = document.getElementById("repl-form");
+const input = document.getElementById("repl-input");
+const variablesElement = document.getElementById("repl-variables");
+const clearButton = document.getElementById("repl-clear");
+
+const PROMPT = "> ";
+
+let scope = {};
+let lines = []; // what was typed, oldest first
+let lineIndex = 0; // position while going through lines with the arrow keys
+
+function formatValue(value) {
+  return typeof value === 'bigint' ? `${value}n` : String(value);
+}
+
+function addHistoryEntry(text, className) {
+  const entry = document.createElement("li");
+  entry.className = className;
+  entry.textContent = text;
+  historyElement.append(entry);
+  historyElement.scrollTop = historyElement.scrollHeight;
+}
+
+function renderVariables() {
+  const names = Object.keys(scope);
+  variablesElement.textContent = names.length
+    ? `Variables: ${names.map(name => `${name} = ${formatValue(scope[name])}`).join(", ")}`
+    : "";
+}
+
+function run(source) {
+  addHistoryEntry(PROMPT + source, "input");
+
+  try {
+    const result = evaluate(source, scope);
+    scope.ans = result;
+    addHistoryEntry(formatValue(result), "result");
+  } catch (error) {
+    if (error instanceof ExpressionError) {
+      // A caret under the character the error is about
+      addHistoryEntry(`${" ".repeat(PROMPT.length + error.position)}^\n${error.message}`, "error");
+    } else {
+      console.error("Error evaluating expression:", error);
+      addHistoryEntry(error.message, "error");
+    }
+  }
+
+  renderVariables();
+}
+
+form.addEventListener("submit", (event) => {
+  event.preventDefault();
+  const source = input.value.trim();
+  if (!source) return;
+
+  lines.push(source);
+  lineIndex = lines.length;
+  input.value = "";
+  run(source);
+});
+
+// Up / Down bring back earlier lines, like a terminal
+input.addEventListener("keydown", (event) => {
+  if (event.key !== "ArrowUp" && event.key !== "ArrowDown") return;
+  event.preventDefault();
+
+  lineIndex = Math.max(0, Math.min(lines.length, lineIndex + (event.key === "ArrowUp" ? -1 : 1)));
+  input.value = lines[lineIndex] ?? "";
+});
+
+clearButton.addEventListener("click", () => {
+  scope = {};
+  historyElement.replaceChildren();
+  renderVariables();
+  input.focus();
+});
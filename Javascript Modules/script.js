@@ -1,7 +1,25 @@
 import * as math from "./math.js"; // Default import
+import { mean, median, stddev, determinant, inverse } from "./index.js"; // Everything, re-exported from one entry point
 console.log(math.default);
 
 console.log(math.add(5, 3));
 console.log(math.subtract(10, 4));
 console.log(math.multiply(2, 3));
 console.log(math.divide(8, 2));
+
+// Decimals are exact: plain JS would print 0.30000000000000004
+console.log(math.add(0.1, 0.2));
+
+// BigInts stay BigInts
+console.log(math.multiply(2n ** 64n, 3));
+
+// Mistakes throw typed errors instead of returning Infinity or NaN
+try {
+  math.divide(1, 0);
+} catch (error) {
+  console.log(error instanceof math.DivisionByZeroError, error.message);
+}
+
+// Statistics and matrices live in their own modules
+console.log(mean([2, 4, 4, 4, 5, 5, 7, 9]), median([3, 1, 2]), stddev([2, 4, 4, 4, 5, 5, 7, 9]));
+console.log(determinant([[1, 2], [3, 4]]), inverse([[4, 7], [2, 6]]));
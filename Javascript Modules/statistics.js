@@ -0,0 +1,99 @@
+// statistics.js
+// Descriptive statistics over arrays of numbers, worked out with math.js so the
+// decimals stay exact: mean([0.1, 0.2]) is 0.15, not 0.15000000000000002.
+//
+//   mean([2, 4, 4, 4, 5, 5, 7, 9])        -> 5
+//   median([3, 1, 2])                     -> 2
+//   mode([1, 2, 2, 3, 3])                 -> [2, 3]   (every most common value)
+//   stddev([2, 4, 4, 4, 5, 5, 7, 9])      -> 2        (population; { sample: true } divides by n - 1)
+//   percentile([1, 2, 3, 4], 50)          -> 2.5
+//
+// BigInts are accepted too, but averages of whole numbers aren't always whole
+// (the mean of 1n and 2n is 1.5), so mean, median, percentile, variance and stddev
+// work on them as exact decimals and always return a number. mode returns the
+// values themselves, BigInts included; numeric strings are counted (and
+// returned) as the number they spell, so "2" and 2 are the same value.
+
+import { sum, subtract, multiply, divide, MathError, NonNumericError } from "./math.js";
+
+// Throws unless values is a non-empty array of numbers (or BigInts / numeric strings)
+function checkValues(values) {
+  if (!Array.isArray(values)) throw new NonNumericError(values);
+  if (values.length === 0) throw new MathError("Can't work out statistics of an empty list", 'EMPTY_INPUT');
+}
+
+// BigInts as decimal strings, which math.js divides exactly instead of
+// rounding toward zero (and which mix with fractions, unlike BigInts)
+function toExact(value) {
+  return typeof value === 'bigint' ? String(value) : value;
+}
+
+// Ascending copy. Compares by value with math.js, so "10" sorts after "9" and
+// BigInts sit correctly among fractions.
+function sortedCopy(values) {
+  return [...values].sort((a, b) => Math.sign(Number(subtract(toExact(a), toExact(b)))));
+}
+
+export function mean(values) {
+  checkValues(values);
+  return divide(sum(values.map(toExact)), values.length);
+}
+
+export function median(values) {
+  return percentile(values, 50);
+}
+
+// All values that appear most often, ascending
+export function mode(values) {
+  checkValues(values);
+
+  const counts = new Map();
+  values.forEach(value => {
+    if (typeof value === 'string') value = multiply(value, 1); // "2" -> 2, or NonNumericError
+    if (typeof value !== 'number' && typeof value !== 'bigint') throw new NonNumericError(value);
+    counts.set(value, (counts.get(value) || 0) + 1);
+  });
+
+  const highest = Math.max(...counts.values());
+  return sortedCopy([...counts.keys()].filter(value => counts.get(value) === highest));
+}
+
+// Population variance by default; { sample: true } divides by n - 1 instead
+export function variance(values, { sample = false } = {}) {
+  checkValues(values);
+  if (sample && values.length < 2) {
+    throw new MathError('A sample variance needs at least two values', 'EMPTY_INPUT');
+  }
+
+  const exact = values.map(toExact);
+  const average = divide(sum(exact), exact.length);
+  const squares = exact.map(value => {
+    const difference = subtract(value, average);
+    return multiply(difference, difference);
+  });
+  return divide(sum(squares), sample ? values.length - 1 : values.length);
+}
+
+export function stddev(values, options = {}) {
+  return Math.sqrt(Number(variance(values, options)));
+}
+
+// p from 0 to 100, interpolating between the two nearest values
+// (the same method as Excel's PERCENTILE.INC and NumPy's default)
+export function percentile(values, p) {
+  checkValues(values);
+  if (typeof p !== 'number' || !(p >= 0 && p <= 100)) {
+    throw new MathError(`Percentile must be between 0 and 100, got ${p}`, 'OUT_OF_RANGE');
+  }
+
+  const sorted = sortedCopy(values).map(toExact);
+  const rank = multiply(divide(p, 100), sorted.length - 1);
+  const lower = Math.floor(rank);
+  const fraction = subtract(rank, lower);
+
+  if (fraction === 0 || lower + 1 >= sorted.length) {
+    // Run through math.js so a non-numeric value still throws
+    return multiply(sorted[lower], 1);
+  }
+  return sum([sorted[lower], multiply(fraction, subtract(sorted[lower + 1], sorted[lower]))]);
+}